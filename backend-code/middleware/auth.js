@@ -1,6 +1,6 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokenService');
+const { getUserGroupIds } = require('../utils/groupMembership');
 
 // Verify JWT Token
 exports.authenticate = async (req, res, next) => {
@@ -14,8 +14,21 @@ exports.authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    const user = await verifyAccessToken(token);
+
+    if (user && user.status === 'pending') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is pending administrator approval.' 
+      });
+    }
+
+    if (user && user.status === 'rejected') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account registration was rejected. Contact administrator.' 
+      });
+    }
 
     if (!user || !user.isActive) {
       return res.status(401).json({ 
@@ -24,6 +37,9 @@ exports.authenticate = async (req, res, next) => {
       });
     }
 
+    // Group membership decides which group-targeted notices the user can read
+    user.groupIds = await getUserGroupIds(user);
+
     req.user = user;
     next();
   } catch (error) {
@@ -34,6 +50,24 @@ exports.authenticate = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const user = await verifyAccessToken(token);
+      if (user && user.isActive && user.status === 'active') {
+        user.groupIds = await getUserGroupIds(user);
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Treat an invalid token like no token
+  }
+  next();
+};
+
 // Check if user is admin
 exports.isAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
@@ -0,0 +1,43 @@
+// migrations/backfillNoticeAudience.js
+// Fill `audience` for notices created before multi-audience targeting, using
+// their single department/targetYear fields. Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Notice = require('../models/Notice');
+
+dotenv.config();
+
+const backfillNoticeAudience = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scnbcp');
+    console.log('✅ MongoDB Connected');
+
+    // Read the raw documents: Mongoose would default the missing arrays to []
+    const cursor = Notice.collection.find(
+      { audience: { $exists: false } },
+      { projection: { department: 1, targetYear: 1 } }
+    );
+
+    let updated = 0;
+    for await (const notice of cursor) {
+      const departments = notice.department && notice.department !== 'All Departments'
+        ? [notice.department]
+        : [];
+      const years = notice.targetYear ? [notice.targetYear] : [];
+
+      await Notice.collection.updateOne(
+        { _id: notice._id, audience: { $exists: false } },
+        { $set: { audience: { departments, years, roles: [] } } }
+      );
+      updated++;
+    }
+
+    console.log(`✅ Backfilled audience for ${updated} notice(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration Error:', error);
+    process.exit(1);
+  }
+};
+
+backfillNoticeAudience();
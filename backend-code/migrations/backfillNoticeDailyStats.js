@@ -0,0 +1,69 @@
+// migrations/backfillNoticeDailyStats.js
+// Fill NoticeDailyStat for days before it was recorded, from the first view
+// and acknowledgment times in NoticeInteraction. Repeat views from those days
+// weren't kept, so they only count each reader once. Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+
+dotenv.config();
+
+const DAILY_FIELDS = {
+  view: 'views',
+  acknowledgment: 'acknowledgments'
+};
+
+const BATCH_SIZE = 500;
+
+const backfillNoticeDailyStats = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scnbcp');
+    console.log('✅ MongoDB Connected');
+
+    const cursor = NoticeInteraction.aggregate([
+      {
+        $group: {
+          _id: {
+            notice: '$notice',
+            type: '$type',
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]).cursor();
+
+    // $max rather than $inc: days already counted keep their (higher) totals
+    let operations = [];
+    let updated = 0;
+    for await (const { _id, count } of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { notice: _id.notice, date: _id.date },
+          update: { $max: { [DAILY_FIELDS[_id.type]]: count } },
+          upsert: true
+        }
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await NoticeDailyStat.collection.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await NoticeDailyStat.collection.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    console.log(`✅ Backfilled ${updated} daily notice stat(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration Error:', error);
+    process.exit(1);
+  }
+};
+
+backfillNoticeDailyStats();
@@ -0,0 +1,30 @@
+// migrations/backfillUserStatus.js
+// Set `status` on accounts created before registration approval. Those users
+// were all let in at sign-up, so they are active (deactivation is still
+// tracked by isActive). Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const backfillUserStatus = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scnbcp');
+    console.log('✅ MongoDB Connected');
+
+    // Update the raw documents: Mongoose would default the missing field
+    const result = await User.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'active' } }
+    );
+
+    console.log(`✅ Backfilled status for ${result.modifiedCount} user(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration Error:', error);
+    process.exit(1);
+  }
+};
+
+backfillUserStatus();
@@ -0,0 +1,149 @@
+// migrations/moveNoticeInteractions.js
+// Move the `views` and `acknowledged` arrays embedded in notices into the
+// NoticeInteraction collection, count every entry per day in NoticeDailyStat,
+// set the notices' counters and drop the arrays.
+// Safe to run more than once, and to re-run after an interruption.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Notice = require('../models/Notice');
+const User = require('../models/User');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+
+dotenv.config();
+
+// One entry per user: first time, latest time and how many entries there were
+const collapseByUser = (entries, timeField) => {
+  const byUser = new Map();
+
+  for (const entry of entries || []) {
+    if (!entry || !entry.user) continue;
+
+    const key = entry.user.toString();
+    const at = entry[timeField] || new Date(0);
+    const current = byUser.get(key);
+
+    if (!current) {
+      byUser.set(key, { user: entry.user, firstAt: at, lastAt: at, count: 1 });
+    } else {
+      if (at < current.firstAt) current.firstAt = at;
+      if (at > current.lastAt) current.lastAt = at;
+      current.count++;
+    }
+  }
+
+  return [...byUser.values()];
+};
+
+const toUpserts = (noticeId, type, entries, users) => entries.map(entry => {
+  const user = users.get(entry.user.toString()) || {};
+
+  return {
+    updateOne: {
+      filter: { notice: noticeId, user: entry.user, type },
+      update: {
+        $setOnInsert: {
+          role: user.role || null,
+          department: user.department || null,
+          year: user.year || null,
+          count: type === 'view' ? entry.count : 1,
+          lastAt: entry.lastAt,
+          createdAt: entry.firstAt
+        }
+      },
+      upsert: true
+    }
+  };
+});
+
+// Entries per day (YYYY-MM-DD) in a views or acknowledged array
+const countByDay = (entries, timeField) => {
+  const byDay = new Map();
+
+  for (const entry of entries || []) {
+    if (!entry || !entry.user || !entry[timeField]) continue;
+
+    const day = new Date(entry[timeField]).toISOString().slice(0, 10);
+    byDay.set(day, (byDay.get(day) || 0) + 1);
+  }
+
+  return byDay;
+};
+
+// $max rather than $inc, so re-running doesn't count the same entries twice
+const toDailyUpserts = (noticeId, field, byDay) => [...byDay].map(([date, count]) => ({
+  updateOne: {
+    filter: { notice: noticeId, date },
+    update: { $max: { [field]: count } },
+    upsert: true
+  }
+}));
+
+const moveNoticeInteractions = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scnbcp');
+    console.log('✅ MongoDB Connected');
+
+    // The arrays are no longer in the schema, so read the raw documents
+    const cursor = Notice.collection.find(
+      { $or: [{ views: { $exists: true } }, { acknowledged: { $exists: true } }] },
+      { projection: { views: 1, acknowledged: 1 } }
+    );
+
+    let moved = 0;
+    for await (const notice of cursor) {
+      const views = collapseByUser(notice.views, 'viewedAt');
+      const acknowledgments = collapseByUser(notice.acknowledged, 'acknowledgedAt');
+
+      const userIds = [...views, ...acknowledgments].map(entry => entry.user);
+      const users = new Map(
+        (await User.find({ _id: { $in: userIds } }).select('role department year').lean())
+          .map(user => [user._id.toString(), user])
+      );
+
+      const operations = [
+        ...toUpserts(notice._id, 'view', views, users),
+        ...toUpserts(notice._id, 'acknowledgment', acknowledgments, users)
+      ];
+
+      if (operations.length > 0) {
+        await NoticeInteraction.collection.bulkWrite(operations, { ordered: false });
+      }
+
+      // Acknowledging twice never counted, so only each user's first one does
+      const dailyOperations = [
+        ...toDailyUpserts(notice._id, 'views', countByDay(notice.views, 'viewedAt')),
+        ...toDailyUpserts(notice._id, 'acknowledgments', countByDay(
+          acknowledgments.map(entry => ({ user: entry.user, acknowledgedAt: entry.firstAt })),
+          'acknowledgedAt'
+        ))
+      ];
+
+      if (dailyOperations.length > 0) {
+        await NoticeDailyStat.collection.bulkWrite(dailyOperations, { ordered: false });
+      }
+
+      const [viewCount, acknowledgedCount] = await Promise.all([
+        NoticeInteraction.countDocuments({ notice: notice._id, type: 'view' }),
+        NoticeInteraction.countDocuments({ notice: notice._id, type: 'acknowledgment' })
+      ]);
+
+      await Notice.collection.updateOne(
+        { _id: notice._id },
+        {
+          $set: { viewCount, acknowledgedCount },
+          $unset: { views: '', acknowledged: '' }
+        }
+      );
+      moved++;
+    }
+
+    console.log(`✅ Moved views and acknowledgments of ${moved} notice(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration Error:', error);
+    process.exit(1);
+  }
+};
+
+moveNoticeInteractions();
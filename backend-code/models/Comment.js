@@ -1,5 +1,6 @@
 // models/Comment.js
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const commentSchema = new mongoose.Schema({
   notice: {
@@ -37,12 +38,74 @@ const commentSchema = new mongoose.Schema({
   isReply: {
     type: Boolean,
     default: false
-  }
+  },
+  reports: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Hidden comments are only shown to their author and moderators.
+  // `needsReview` puts a comment in the moderation queue (reported, or held
+  // by the banned-words filter).
+  moderation: {
+    status: {
+      type: String,
+      enum: ['visible', 'hidden'],
+      default: 'visible'
+    },
+    needsReview: {
+      type: Boolean,
+      default: false
+    },
+    flaggedWords: [String],
+    reason: {
+      type: String,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Users @mentioned in the content, resolved when it was saved
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    handle: {
+      type: String,
+      required: true
+    }
+  }]
 }, {
   timestamps: true
 });
 
 // Index for faster queries
 commentSchema.index({ notice: 1, createdAt: -1 });
+commentSchema.index({ 'moderation.needsReview': 1, updatedAt: -1 });
+
+// Deleted documents stay in the trash until purged
+commentSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Comment', commentSchema);
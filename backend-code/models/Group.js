@@ -0,0 +1,48 @@
+// models/Group.js
+const mongoose = require('mongoose');
+
+// A named audience such as a section, lab batch or committee. Static groups
+// list their members; dynamic groups match users by role/department/year,
+// so membership follows the user's profile.
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['static', 'dynamic'],
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Dynamic groups only. An empty list means "any"; at least one rule is required.
+  rules: {
+    roles: [{
+      type: String,
+      enum: ['admin', 'faculty', 'student']
+    }],
+    departments: [String],
+    years: [String]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ type: 1, members: 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
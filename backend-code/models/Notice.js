@@ -1,5 +1,6 @@
 // models/Notice.js
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const noticeSchema = new mongoose.Schema({
   title: {
@@ -16,6 +17,8 @@ const noticeSchema = new mongoose.Schema({
     enum: ['academic', 'events', 'exams', 'circulars'],
     required: true
   },
+  // Display label for the audience ('All Departments', a single department
+  // or 'Multiple Departments'). Visibility is decided by `audience`.
   department: {
     type: String,
     required: true
@@ -24,6 +27,21 @@ const noticeSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Who the notice is for. An empty list means "no restriction" on that
+  // dimension; years only apply to students and readers must belong to one
+  // of the groups. Admins see every notice.
+  audience: {
+    departments: [String],
+    years: [String],
+    roles: [{
+      type: String,
+      enum: ['faculty', 'student']
+    }],
+    groups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    }]
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -36,39 +54,147 @@ const noticeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['published', 'scheduled', 'draft'],
+    enum: ['published', 'scheduled', 'draft', 'pending_review'],
     default: 'published'
   },
+  review: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'rejected'],
+      default: 'not_required'
+    },
+    requestedStatus: {
+      type: String,
+      enum: ['published', 'scheduled', null],
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    }
+  },
   scheduledDate: {
     type: Date,
     default: null
   },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
   attachments: [{
     name: String,
-    type: String,
+    // `type` has to be spelled out, otherwise Mongoose reads the whole
+    // attachment as a String declaration
+    type: { type: String },
     url: String,
-    size: Number
-  }],
-  views: [{
-    user: {
+    size: Number,
+    // Set for files uploaded through /api/notices/:id/attachments
+    storageKey: { type: String, default: null },
+    uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
+      ref: 'User',
+      default: null
     },
-    viewedAt: {
+    uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
-  acknowledged: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
+  // Unique viewers and acknowledgments. The individual records live in
+  // NoticeInteraction; these counters are kept in step with them.
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  acknowledgedCount: {
+    type: Number,
+    default: 0
+  },
+  // Notices readers must acknowledge by `dueDate`. Targeted users who haven't
+  // are reminded periodically; the author is told once the deadline passes.
+  acknowledgment: {
+    required: {
+      type: Boolean,
+      default: false
     },
-    acknowledgedAt: {
+    dueDate: {
       type: Date,
-      default: Date.now
+      default: null
+    },
+    lastReminderAt: {
+      type: Date,
+      default: null
+    },
+    escalatedAt: {
+      type: Date,
+      default: null
     }
-  }],
+  },
+  // Structured details for events and exams notices, exported to calendars.
+  // `sequence` goes up with every change so calendar clients pick it up.
+  event: {
+    startAt: {
+      type: Date,
+      default: null
+    },
+    endAt: {
+      type: Date,
+      default: null
+    },
+    allDay: {
+      type: Boolean,
+      default: false
+    },
+    venue: {
+      type: String,
+      default: null
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'yearly', null],
+        default: null
+      },
+      interval: {
+        type: Number,
+        default: 1
+      },
+      count: {
+        type: Number,
+        default: null
+      },
+      until: {
+        type: Date,
+        default: null
+      }
+    },
+    status: {
+      type: String,
+      enum: ['confirmed', 'cancelled'],
+      default: 'confirmed'
+    },
+    sequence: {
+      type: Number,
+      default: 0
+    }
+  },
   expiresAt: {
     type: Date,
     default: null
@@ -77,9 +203,34 @@ const noticeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Listed in the unauthenticated RSS/Atom feeds
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // open: anyone who can read the notice may comment; locked: existing
+  // comments stay visible but no new ones; disabled: comments are hidden
+  commentsMode: {
+    type: String,
+    enum: ['open', 'locked', 'disabled'],
+    default: 'open'
+  },
+  expiryWarningSentAt: {
+    type: Date,
+    default: null
+  },
   isArchived: {
     type: Boolean,
     default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -89,15 +240,58 @@ const noticeSchema = new mongoose.Schema({
 noticeSchema.index({ category: 1, department: 1, status: 1 });
 noticeSchema.index({ createdAt: -1 });
 noticeSchema.index({ author: 1 });
+noticeSchema.index({ status: 1, scheduledDate: 1 });
+noticeSchema.index({ status: 1, 'review.submittedAt': 1 });
+noticeSchema.index({ isArchived: 1, expiresAt: 1 });
+noticeSchema.index({ 'acknowledgment.required': 1, 'acknowledgment.dueDate': 1 });
+noticeSchema.index({ isPublic: 1, status: 1, isArchived: 1 });
+noticeSchema.index({ 'event.startAt': 1 });
+
+// Full-text search, weighted towards title matches
+noticeSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 10, content: 1 }, name: 'notice_text_search' }
+);
+
+noticeSchema.index({ 'audience.departments': 1, 'audience.years': 1 });
+noticeSchema.index({ 'audience.groups': 1 });
+
+// Set the audience and keep the legacy department/targetYear labels in step
+noticeSchema.methods.setAudience = function({ departments = [], years = [], roles = [], groups = [] }) {
+  this.audience = { departments, years, roles, groups };
 
-// Virtual for view count
-noticeSchema.virtual('viewCount').get(function() {
-  return this.views.length;
+  if (departments.length === 0) {
+    this.department = 'All Departments';
+  } else if (departments.length === 1) {
+    this.department = departments[0];
+  } else {
+    this.department = 'Multiple Departments';
+  }
+
+  this.targetYear = years.length === 1 ? years[0] : null;
+};
+
+// Notices created with only the single department/targetYear fields get the
+// equivalent audience
+noticeSchema.pre('validate', function(next) {
+  if (this.isNew && this.audience.departments.length === 0 && this.audience.years.length === 0) {
+    if (this.department && this.department !== 'All Departments') {
+      this.audience.departments = [this.department];
+    }
+    if (this.targetYear) {
+      this.audience.years = [this.targetYear];
+    }
+  }
+  next();
 });
 
-// Virtual for acknowledgment count
-noticeSchema.virtual('acknowledgedCount').get(function() {
-  return this.acknowledged.length;
+// Calendar clients only replace an event they already have when its
+// SEQUENCE goes up, so count every change to what the event shows
+noticeSchema.pre('save', function(next) {
+  if (!this.isNew && this.event.startAt && ['title', 'content', 'event'].some(path => this.isModified(path))) {
+    this.event.sequence += 1;
+  }
+  next();
 });
 
 // Virtual for comment count (populated from Comment model)
@@ -110,4 +304,7 @@ noticeSchema.virtual('comments', {
 noticeSchema.set('toJSON', { virtuals: true });
 noticeSchema.set('toObject', { virtuals: true });
 
+// Deleted documents stay in the trash until purged
+noticeSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Notice', noticeSchema);
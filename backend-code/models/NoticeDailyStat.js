@@ -0,0 +1,31 @@
+// models/NoticeDailyStat.js
+const mongoose = require('mongoose');
+
+// Views and acknowledgments of a notice on one UTC day. Unlike
+// NoticeInteraction, every view counts, so repeat readers show up in the
+// daily trend.
+const noticeDailyStatSchema = new mongoose.Schema({
+  notice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notice',
+    required: true
+  },
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  acknowledgments: {
+    type: Number,
+    default: 0
+  }
+});
+
+noticeDailyStatSchema.index({ notice: 1, date: 1 }, { unique: true });
+noticeDailyStatSchema.index({ date: 1 });
+
+module.exports = mongoose.model('NoticeDailyStat', noticeDailyStatSchema);
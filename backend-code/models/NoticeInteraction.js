@@ -0,0 +1,52 @@
+// models/NoticeInteraction.js
+const mongoose = require('mongoose');
+
+// A user viewing or acknowledging a notice. There is one document per
+// notice, user and type: `createdAt` is the first time, `lastAt` the latest
+// and `count` how often. The reader's role, department and year are copied
+// in so analytics can group without joining users.
+const noticeInteractionSchema = new mongoose.Schema({
+  notice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notice',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'acknowledgment'],
+    required: true
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  department: {
+    type: String,
+    default: null
+  },
+  year: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  lastAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+noticeInteractionSchema.index({ notice: 1, type: 1, user: 1 }, { unique: true });
+noticeInteractionSchema.index({ user: 1, type: 1 });
+noticeInteractionSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NoticeInteraction', noticeInteractionSchema);
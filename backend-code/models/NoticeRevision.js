@@ -0,0 +1,78 @@
+// models/NoticeRevision.js
+const mongoose = require('mongoose');
+
+// One saved state of a notice. Version 1 is the notice as first created (or
+// as it was before its first tracked edit); every edit or restore adds one.
+const noticeRevisionSchema = new mongoose.Schema({
+  notice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notice',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Fields that differ from the previous revision
+  changedFields: [String],
+  // Set when this revision was created by restoring an earlier one
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  snapshot: {
+    title: String,
+    content: String,
+    category: String,
+    department: String,
+    targetYear: String,
+    audience: {
+      departments: [String],
+      years: [String],
+      roles: [String],
+      groups: [mongoose.Schema.Types.ObjectId]
+    },
+    priority: String,
+    status: String,
+    scheduledDate: Date,
+    expiresAt: Date,
+    // null for notices without event details
+    event: {
+      type: new mongoose.Schema({
+        startAt: Date,
+        endAt: Date,
+        allDay: Boolean,
+        venue: String,
+        recurrence: {
+          type: new mongoose.Schema({
+            frequency: String,
+            interval: Number,
+            count: Number,
+            until: Date
+          }, { _id: false }),
+          default: null
+        },
+        status: String
+      }, { _id: false }),
+      default: null
+    },
+    attachments: [{
+      _id: false,
+      name: String,
+      url: String,
+      type: { type: String },
+      size: Number
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+noticeRevisionSchema.index({ notice: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('NoticeRevision', noticeRevisionSchema);
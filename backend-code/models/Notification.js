@@ -1,5 +1,6 @@
 // models/Notification.js
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const notificationSchema = new mongoose.Schema({
   user: {
@@ -33,6 +34,11 @@ const notificationSchema = new mongoose.Schema({
   readAt: {
     type: Date,
     default: null
+  },
+  // Set once the notification went out by email (immediately or in a digest)
+  emailedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -40,5 +46,9 @@ const notificationSchema = new mongoose.Schema({
 
 // Index for faster queries
 notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ isRead: 1, emailedAt: 1, type: 1 });
+
+// Deleted documents stay in the trash until purged
+notificationSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,71 @@
+// models/NotificationPreference.js
+const mongoose = require('mongoose');
+
+// Which channels a notification type may use. `inApp` covers the
+// notification list and its real-time push.
+const channelSettings = {
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  email: {
+    type: Boolean,
+    default: true
+  }
+};
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Notice categories the user wants new_notice notifications for
+  categories: {
+    academic: { type: Boolean, default: true },
+    events: { type: Boolean, default: true },
+    exams: { type: Boolean, default: true },
+    circulars: { type: Boolean, default: true }
+  },
+  // Lowest notice priority that still produces a new_notice notification
+  minimumPriority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'low'
+  },
+  types: {
+    new_notice: channelSettings,
+    comment: channelSettings,
+    mention: channelSettings,
+    acknowledgment: channelSettings,
+    system: channelSettings
+  },
+  // No real-time pushes or immediate emails in this window; notifications
+  // are still stored and can go out in the daily digest
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    // IANA time zone, e.g. 'Asia/Kolkata'. Server time when not set.
+    timezone: {
+      type: String,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
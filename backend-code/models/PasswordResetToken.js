@@ -0,0 +1,36 @@
+// models/PasswordResetToken.js
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a SHA-256 hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedByIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+// Let MongoDB clean up expired tokens
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
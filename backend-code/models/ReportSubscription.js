@@ -0,0 +1,96 @@
+// models/ReportSubscription.js
+const mongoose = require('mongoose');
+
+// A recurring analytics report: which views, over what scope, how often and
+// through which delivery channel. Reports are generated as the owner, so
+// faculty reports only ever cover their own notices.
+const reportSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  views: [{
+    type: String,
+    enum: ['dashboard', 'reach', 'engagement']
+  }],
+  scope: {
+    department: {
+      type: String,
+      default: null
+    },
+    category: {
+      type: String,
+      default: null
+    },
+    // How many days back each report looks
+    days: {
+      type: Number,
+      default: 7
+    }
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    default: 'xlsx'
+  },
+  // Runs at `hour` (server time) every day, every `dayOfWeek` (0 = Sunday)
+  // or every month on `dayOfMonth`
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    default: 'weekly'
+  },
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28,
+    default: 1
+  },
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 7
+  },
+  channel: {
+    type: String,
+    default: 'email'
+  },
+  // Where the channel delivers to; email defaults to the owner's address
+  recipients: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportSubscriptionSchema.index({ isActive: 1, nextRunAt: 1 });
+reportSubscriptionSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('ReportSubscription', reportSubscriptionSchema);
@@ -61,6 +61,53 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Self-registered accounts start as 'pending' (and inactive) until an
+  // admin approves them
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected'],
+    default: 'active'
+  },
+  approval: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    }
+  },
+  // Email channel settings (changed from the unsubscribe link without logging in)
+  emailSettings: {
+    immediate: {
+      type: Boolean,
+      default: true
+    },
+    digest: {
+      type: Boolean,
+      default: true
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Bumped to revoke every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Bumped to revoke the user's calendar feed link
+  calendarFeedVersion: {
+    type: Number,
+    default: 0
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -73,6 +120,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ status: 1, createdAt: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,61 @@
+// models/plugins/softDelete.js
+// Soft delete: deleted documents get `deletedAt` and are left out of every
+// find/count/update/aggregate unless the filter mentions `deletedAt` itself
+// or the query sets the `withDeleted` option.
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Pipelines that must start with one of these stages can't be prefixed
+const FIRST_ONLY_STAGES = ['$geoNear', '$search', '$searchMeta'];
+
+function excludeDeletedFromQuery() {
+  if (this.getOptions().withDeleted) return;
+
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+}
+
+function excludeDeletedFromAggregate() {
+  if (this.options.withDeleted) return;
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  if (first && FIRST_ONLY_STAGES.some(stage => first[stage])) return;
+
+  if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+}
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // The document whose deletion took this one along (e.g. a notice for its
+    // comments), so restoring it brings back exactly these
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+  schema.index({ deletedWith: 1 });
+
+  schema.pre(QUERY_HOOKS, excludeDeletedFromQuery);
+  schema.pre('aggregate', excludeDeletedFromAggregate);
+};
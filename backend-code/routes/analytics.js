@@ -1,173 +1,112 @@
 // routes/analytics.js
 const express = require('express');
 const router = express.Router();
-const Notice = require('../models/Notice');
-const Comment = require('../models/Comment');
-const User = require('../models/User');
 const { authenticate, isAdminOrFaculty } = require('../middleware/auth');
+const analytics = require('../utils/analytics');
+const analyticsExport = require('../utils/analyticsExport');
 
-// Get Analytics Dashboard Data
+// Get Analytics Dashboard Data (?timeRange= days, ?department=)
 router.get('/dashboard', authenticate, isAdminOrFaculty, async (req, res) => {
   try {
-    const { timeRange = '7' } = req.query; // days
-    const daysAgo = new Date();
-    daysAgo.setDate(daysAgo.getDate() - parseInt(timeRange));
+    const data = await analytics.getDashboardAnalytics(req.user, req.query);
 
-    let query = { createdAt: { $gte: daysAgo } };
-
-    // Faculty can only see their own notices
-    if (req.user.role === 'faculty') {
-      query.author = req.user._id;
-    }
-
-    // Total notices
-    const totalNotices = await Notice.countDocuments(query);
-    
-    // Published notices
-    const publishedNotices = await Notice.countDocuments({ 
-      ...query, 
-      status: 'published' 
+    res.json({
+      success: true,
+      data
     });
-
-    // Total views
-    const notices = await Notice.find(query);
-    const totalViews = notices.reduce((sum, notice) => sum + notice.views.length, 0);
-    
-    // Total acknowledgments
-    const totalAcknowledgments = notices.reduce(
-      (sum, notice) => sum + notice.acknowledged.length, 
-      0
-    );
-
-    // Total comments
-    const noticeIds = notices.map(n => n._id);
-    const totalComments = await Comment.countDocuments({ 
-      notice: { $in: noticeIds } 
+  } catch (error) {
+    console.error('Get Analytics Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics data',
+      error: error.message
     });
+  }
+});
 
-    // Category breakdown
-    const categoryBreakdown = await Notice.aggregate([
-      { $match: query },
-      { $group: { _id: '$category', count: { $sum: 1 } } }
-    ]);
+// Get Reach Against Target Audience (Admin/Faculty)
+// Published notices in a publish-date range (?from=&to=, default the last 30
+// days; a bare date for `to` includes that whole day), optionally one
+// ?category= or ?department=. Broken down by reader department and year and
+// trended per ?interval=day|week|month.
+router.get('/reach', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { options, error } = analytics.parseReachOptions(req.query);
 
-    // Department breakdown
-    const departmentBreakdown = await Notice.aggregate([
-      { $match: query },
-      { $group: { _id: '$department', count: { $sum: 1 } } }
-    ]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-    // Daily activity (last 7 days)
-    const dailyActivity = await Notice.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    const data = await analytics.getReachAnalytics(req.user, options);
 
-    // Engagement rate
-    const engagementRate = totalNotices > 0 
-      ? ((totalAcknowledgments + totalComments) / (totalNotices * 2) * 100).toFixed(2)
-      : 0;
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get Reach Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reach metrics'
+    });
+  }
+});
 
-    // Top performing notices
-    const topNotices = await Notice.find(query)
-      .populate('author', 'name role')
-      .sort({ 'views.length': -1 })
-      .limit(5)
-      .select('title category views acknowledged comments createdAt');
+// Get Engagement Metrics (?department=)
+router.get('/engagement', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const data = await analytics.getEngagementMetrics(req.user, req.query);
 
     res.json({
       success: true,
-      data: {
-        overview: {
-          totalNotices,
-          publishedNotices,
-          totalViews,
-          totalAcknowledgments,
-          totalComments,
-          engagementRate: parseFloat(engagementRate)
-        },
-        categoryBreakdown: categoryBreakdown.map(item => ({
-          category: item._id,
-          count: item.count
-        })),
-        departmentBreakdown: departmentBreakdown.map(item => ({
-          department: item._id,
-          count: item.count
-        })),
-        dailyActivity: dailyActivity.map(item => ({
-          date: item._id,
-          count: item.count
-        })),
-        topNotices: topNotices.map(notice => ({
-          id: notice._id,
-          title: notice.title,
-          category: notice.category,
-          views: notice.views.length,
-          acknowledged: notice.acknowledged.length,
-          comments: notice.comments?.length || 0,
-          author: notice.author,
-          createdAt: notice.createdAt
-        }))
-      }
+      data
     });
   } catch (error) {
-    console.error('Get Analytics Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch analytics data',
-      error: error.message 
+    console.error('Get Engagement Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch engagement metrics'
     });
   }
 });
 
-// Get Engagement Metrics
-router.get('/engagement', authenticate, isAdminOrFaculty, async (req, res) => {
+// Export an Analytics View as a Spreadsheet (Admin/Faculty)
+// /api/analytics/dashboard|reach|engagement/export?format=csv|xlsx, taking
+// the same filters as the view itself
+router.get('/:view/export', authenticate, isAdminOrFaculty, async (req, res) => {
   try {
-    let query = {};
-    
-    if (req.user.role === 'faculty') {
-      query.author = req.user._id;
+    const { view } = req.params;
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+
+    if (!analytics.ANALYTICS_VIEWS.includes(view)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analytics view not found'
+      });
     }
 
-    const notices = await Notice.find(query);
+    const { data, error } = await analytics.runAnalyticsView(view, req.user, req.query);
 
-    const metrics = {
-      totalNotices: notices.length,
-      averageViews: 0,
-      averageAcknowledgments: 0,
-      averageComments: 0,
-      highEngagementNotices: 0
-    };
-
-    if (notices.length > 0) {
-      const totalViews = notices.reduce((sum, n) => sum + n.views.length, 0);
-      const totalAck = notices.reduce((sum, n) => sum + n.acknowledged.length, 0);
-      
-      metrics.averageViews = (totalViews / notices.length).toFixed(2);
-      metrics.averageAcknowledgments = (totalAck / notices.length).toFixed(2);
-      
-      // Count high engagement (>50% acknowledgment rate)
-      metrics.highEngagementNotices = notices.filter(n => {
-        const ackRate = n.views.length > 0 ? (n.acknowledged.length / n.views.length) : 0;
-        return ackRate > 0.5;
-      }).length;
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
-    res.json({
-      success: true,
-      data: metrics
-    });
+    const file = await analyticsExport.buildExport(view, data, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
   } catch (error) {
-    console.error('Get Engagement Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch engagement metrics' 
+    console.error('Export Analytics Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export analytics'
     });
   }
 });
@@ -0,0 +1,255 @@
+// routes/attachments.js
+// Mounted at /api/notices/:noticeId/attachments
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const crypto = require('crypto');
+const multer = require('multer');
+const Notice = require('../models/Notice');
+const { authenticate, isAdminOrFaculty } = require('../middleware/auth');
+const { canViewNotice } = require('../utils/noticeAccess');
+const { getStorage } = require('../utils/storage');
+const fileTypes = require('../utils/fileTypes');
+
+const MAX_FILES_PER_UPLOAD = 5;
+
+const allowedTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+  : Object.keys(fileTypes.FILE_TYPES);
+
+const maxFileSize = (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type not allowed: ${file.mimetype}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Turn multer errors into the usual JSON error response
+const handleUpload = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size is ${Math.round(maxFileSize / (1024 * 1024))} MB`
+        : err.message;
+      return res.status(400).json({ success: false, message });
+    }
+
+    next(err);
+  });
+};
+
+// Content-Disposition with an ASCII fallback name for old clients and the
+// real name as UTF-8 (RFC 6266)
+const buildContentDisposition = (disposition, name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Upload Attachments (author or admin)
+router.post('/', authenticate, isAdminOrFaculty, handleUpload, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.noticeId);
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add attachments to your own notices'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded. Use the "files" field.'
+      });
+    }
+
+    // The type the client claims has to match what the file actually is
+    const mismatched = req.files.find(file => !fileTypes.contentMatchesType(file.mimetype, file.buffer));
+    if (mismatched) {
+      return res.status(400).json({
+        success: false,
+        message: `File content does not match its type: ${mismatched.originalname}`
+      });
+    }
+
+    const storage = getStorage();
+    const added = [];
+
+    for (const file of req.files) {
+      // Stored files are named after their checked type, never the client's extension
+      const storageKey = `${crypto.randomBytes(16).toString('hex')}${fileTypes.getExtension(file.mimetype)}`;
+      await storage.save(storageKey, file.buffer);
+
+      notice.attachments.push({
+        name: file.originalname,
+        type: file.mimetype,
+        size: file.size,
+        storageKey,
+        uploadedBy: req.user._id
+      });
+
+      const attachment = notice.attachments[notice.attachments.length - 1];
+      attachment.url = `/api/notices/${notice._id}/attachments/${attachment._id}`;
+      added.push(attachment);
+    }
+
+    try {
+      await notice.save();
+    } catch (saveErr) {
+      // Don't leave orphaned files behind if the notice couldn't be saved
+      await Promise.all(added.map(a => storage.remove(a.storageKey).catch(() => {})));
+      throw saveErr;
+    }
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments uploaded successfully',
+      data: added
+    });
+  } catch (error) {
+    console.error('Upload Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachments'
+    });
+  }
+});
+
+// Download Attachment (anyone who can read the notice)
+router.get('/:attachmentId', authenticate, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.noticeId);
+
+    if (!notice || !canViewNotice(req.user, notice)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    const attachment = notice.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // Attachments added as plain links are hosted elsewhere
+    if (!attachment.storageKey) {
+      return res.redirect(attachment.url);
+    }
+
+    const storage = getStorage();
+    if (!(await storage.exists(attachment.storageKey))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing'
+      });
+    }
+
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+    res.setHeader('Content-Type', attachment.type || 'application/octet-stream');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', buildContentDisposition(disposition, attachment.name || 'attachment'));
+    if (attachment.size) {
+      res.setHeader('Content-Length', attachment.size);
+    }
+
+    const stream = storage.createReadStream(attachment.storageKey);
+    stream.on('error', (streamErr) => {
+      console.error('Attachment Stream Error:', streamErr);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'Failed to download attachment' });
+      } else {
+        res.destroy();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+});
+
+// Delete Attachment (author or admin)
+router.delete('/:attachmentId', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.noticeId);
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only remove attachments from your own notices'
+      });
+    }
+
+    const attachment = notice.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { storageKey } = attachment;
+    attachment.deleteOne();
+    await notice.save();
+
+    if (storageKey) {
+      await getStorage().remove(storageKey);
+    }
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment'
+    });
+  }
+});
+
+module.exports = router;
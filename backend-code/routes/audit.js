@@ -0,0 +1,163 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticate, isAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { toCsvRow } = require('../utils/csv');
+const { escapeRegex } = require('../utils/regex');
+
+// Build the query shared by browsing and export. An `action` without a dot
+// matches a whole group, e.g. `user` matches user.delete and user.role_change.
+// Returns { query } or { error }.
+const buildAuditQuery = ({ action, actor, targetType, targetId, from, to }) => {
+  const query = {};
+
+  // A repeated query parameter arrives as an array
+  const filters = { action, actor, targetType, targetId, from, to };
+  const repeated = Object.keys(filters).find(name => filters[name] !== undefined && typeof filters[name] !== 'string');
+
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  if (action) {
+    query.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+  }
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) {
+    query.actor = actor;
+  }
+
+  if (targetType && targetType !== 'all') {
+    query.targetType = targetType;
+  }
+
+  if (targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+    query.targetId = targetId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'Invalid date range' };
+    }
+  }
+
+  return { query };
+};
+
+// Get Audit Log (Admin only)
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Audit Log Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Export Audit Log as CSV or JSON (Admin only). Takes the same filters.
+router.get('/export', authenticate, isAdmin, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    // Exports are audited too
+    await recordAudit(req, {
+      action: 'audit.export',
+      targetType: 'AuditLog',
+      metadata: { format, filters: req.query }
+    });
+
+    const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.${format}"`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.write('[');
+      let first = true;
+      for await (const entry of cursor) {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(entry)}`);
+        first = false;
+      }
+      res.end('\n]\n');
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write(toCsvRow([
+      'timestamp', 'action', 'actorId', 'actorName', 'actorRole',
+      'targetType', 'targetId', 'targetLabel', 'ip', 'before', 'after', 'metadata'
+    ]));
+
+    for await (const entry of cursor) {
+      res.write(toCsvRow([
+        entry.createdAt,
+        entry.action,
+        entry.actor,
+        entry.actorName,
+        entry.actorRole,
+        entry.targetType,
+        entry.targetId,
+        entry.targetLabel,
+        entry.ip,
+        entry.before ? JSON.stringify(entry.before) : '',
+        entry.after ? JSON.stringify(entry.after) : '',
+        entry.metadata ? JSON.stringify(entry.metadata) : ''
+      ]));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export Audit Log Error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export audit log'
+      });
+    } else {
+      res.destroy();
+    }
+  }
+});
+
+module.exports = router;
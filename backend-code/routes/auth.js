@@ -1,17 +1,59 @@
 // routes/auth.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const { authenticate } = require('../middleware/auth');
+const tokenService = require('../utils/tokenService');
+const socketService = require('../utils/socketService');
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendMail } = require('../utils/mail');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId }, 
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Email a single-use reset link. Runs in the background so the response
+// time doesn't reveal whether the account exists.
+const sendPasswordResetEmail = async (user, req) => {
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Only the newest link should work
+  await PasswordResetToken.updateMany(
+    { user: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
   );
+
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashResetToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedByIp: req.ip
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your SCNBCP password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires in ${ttlMinutes} minutes and can only be used once.`,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Roles that may sign up through /register (comma-separated in SELF_REGISTRATION_ROLES)
+const getSelfRegistrationRoles = () => {
+  return (process.env.SELF_REGISTRATION_ROLES || 'student,faculty')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
 };
 
 // Register New User
@@ -19,6 +61,13 @@ router.post('/register', async (req, res) => {
   try {
     const { name, email, password, role, department, year, employeeId, studentId } = req.body;
 
+    if (!getSelfRegistrationRoles().includes(role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `Self-registration is not available for the ${role || 'requested'} role` 
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -37,24 +86,37 @@ router.post('/register', async (req, res) => {
       department,
       year,
       employeeId,
-      studentId
+      studentId,
+      // New accounts wait for an admin before they can sign in
+      status: 'pending',
+      isActive: false
     });
 
     await user.save();
 
-    const token = generateToken(user._id);
+    // Let admins know there is an account to review
+    try {
+      const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+      await Notification.insertMany(admins.map(admin => ({
+        user: admin._id,
+        type: 'system',
+        message: `New ${user.role} account awaiting approval: ${user.name}`
+      })));
+    } catch (notifyErr) {
+      console.error('Failed to notify admins of registration:', notifyErr);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
-      token,
+      message: 'Registration received. Your account will be activated once an administrator approves it.',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         department: user.department,
-        year: user.year
+        year: user.year,
+        status: user.status
       }
     });
   } catch (error) {
@@ -81,14 +143,6 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Account is deactivated. Contact administrator.' 
-      });
-    }
-
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
@@ -98,16 +152,40 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Account state is only revealed once the password checks out
+    if (user.status === 'pending') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is pending administrator approval.' 
+      });
+    }
+
+    if (user.status === 'rejected') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account registration was rejected. Contact administrator.' 
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is deactivated. Contact administrator.' 
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await tokenService.issueTokenPair(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -164,9 +242,16 @@ router.put('/change-password', authenticate, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every existing session, then give this client a fresh login
+    await tokenService.revokeAllSessions(user, 'password_changed');
+    socketService.disconnectUser(user._id);
+    const { token, refreshToken } = await tokenService.issueTokenPair(user, req);
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully. Other sessions have been signed out.',
+      token,
+      refreshToken
     });
   } catch (error) {
     res.status(500).json({ 
@@ -176,12 +261,176 @@ router.put('/change-password', authenticate, async (req, res) => {
   }
 });
 
-// Logout (Client-side token removal, but can blacklist token here if needed)
+// Request Password Reset
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is required' 
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user && user.isActive && user.status === 'active') {
+      sendPasswordResetEmail(user, req).catch(mailErr => {
+        console.error('Password Reset Email Error:', mailErr);
+      });
+    }
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to request password reset' 
+    });
+  }
+});
+
+// Confirm Password Reset
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'token and newPassword are required' 
+      });
+    }
+
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters' 
+      });
+    }
+
+    // Claim the token atomically so it can only ever be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // A reset means the old password may be compromised: sign out everywhere
+    await tokenService.revokeAllSessions(user, 'password_reset');
+    socketService.disconnectUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reset password' 
+    });
+  }
+});
+
+// Refresh Access Token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'refreshToken is required' 
+      });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to refresh token' 
+    });
+  }
+});
+
+// Logout (revokes the refresh token of this session)
 router.post('/logout', authenticate, async (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Logout failed' 
+    });
+  }
+});
+
+// Logout Everywhere (revokes every session of the current user)
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.user, 'logout_all');
+    socketService.disconnectUser(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions'
+    });
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to log out from all sessions' 
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,75 @@
+// routes/calendar.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const noticeEvents = require('../utils/noticeEvents');
+
+// Get My Calendar Feed Link
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: noticeEvents.buildFeedUrls(req.user)
+    });
+  } catch (error) {
+    console.error('Get Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed link'
+    });
+  }
+});
+
+// Reset My Calendar Feed Link (the old link stops working)
+router.post('/feed/reset', authenticate, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $inc: { calendarFeedVersion: 1 } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link reset',
+      data: noticeEvents.buildFeedUrls(user)
+    });
+  } catch (error) {
+    console.error('Reset Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed link'
+    });
+  }
+});
+
+// Calendar Feed (public, authorised by the signed link token)
+router.get('/notices.ics', async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await noticeEvents.verifyFeedToken(req.query.token);
+    } catch (tokenErr) {
+      return res.status(401).json({ success: false, message: 'This calendar link is invalid or has been reset' });
+    }
+
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'This calendar link is invalid or has been reset' });
+    }
+
+    const calendar = await noticeEvents.buildFeedCalendar(user);
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.type('text/calendar; charset=utf-8');
+    res.send(calendar);
+  } catch (error) {
+    console.error('Get Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,31 +4,76 @@ const router = express.Router();
 const Comment = require('../models/Comment');
 const Notice = require('../models/Notice');
 const Notification = require('../models/Notification');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, isAdminOrFaculty } = require('../middleware/auth');
+const { verifyAccessToken } = require('../utils/tokenService');
+const notificationPreferences = require('../utils/notificationPreferences');
+const socketService = require('../utils/socketService');
+const mentions = require('../utils/mentions');
+const commentModeration = require('../utils/commentModeration');
+const { canViewNotice, isPublicNotice } = require('../utils/noticeAccess');
+const { getUserGroupIds } = require('../utils/groupMembership');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const trash = require('../utils/trash');
+
+// Comment fields kept in audit snapshots
+const AUDITED_COMMENT_FIELDS = ['notice', 'author', 'content', 'parentComment', 'moderation', 'createdAt'];
+
+// Short readable label for a comment in the audit log
+const commentLabel = (comment) => comment.content.slice(0, 80);
 
 // Get Comments for a Notice
-router.get('/notice/:noticeId', async (req, res) => {
+// Hidden comments are left out except for their author and moderators.
+// Readers need to be able to see the notice (anonymous: public notices only).
+router.get('/notice/:noticeId', optionalAuthenticate, async (req, res) => {
   try {
     const { noticeId } = req.params;
+
+    const notice = await Notice.findById(noticeId).select('author status audience isPublic commentsMode');
+    const canView = req.user ? canViewNotice(req.user, notice) : isPublicNotice(notice);
+
+    if (!notice || !canView) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    const canModerate = commentModeration.canModerate(req.user, notice);
+
+    if (notice.commentsMode === 'disabled' && !canModerate) {
+      return res.json({
+        success: true,
+        data: [],
+        commentsMode: notice.commentsMode
+      });
+    }
+
+    const visibleFilter = commentModeration.buildVisibleCommentsFilter(req.user, notice);
     
     // Get top-level comments first (not replies)
     const comments = await Comment.find({ 
       notice: noticeId,
-      parentComment: null 
+      parentComment: null,
+      ...visibleFilter
     })
+    .select(canModerate ? '' : '-reports')
     .populate('author', 'name role department')
+    .populate('mentions.user', 'name role department')
     .populate({
       path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'name role department'
-      }
+      match: visibleFilter,
+      select: canModerate ? '' : '-reports',
+      populate: [
+        { path: 'author', select: 'name role department' },
+        { path: 'mentions.user', select: 'name role department' }
+      ]
     })
     .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: comments
+      data: comments,
+      commentsMode: notice.commentsMode
     });
   } catch (error) {
     console.error('Get Comments Error:', error);
@@ -74,9 +119,7 @@ router.post('/', async (req, res) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (token) {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        authorUser = await User.findById(decoded.userId);
+        authorUser = await verifyAccessToken(token);
       }
     } catch (authErr) {
       // ignore here; fallback below
@@ -117,18 +160,39 @@ router.post('/', async (req, res) => {
       return res.status(401).json({ success: false, message: 'Access denied. No valid token provided.' });
     }
 
+    // Only readers of the notice may comment on it
+    authorUser.groupIds = await getUserGroupIds(authorUser);
+    if (!canViewNotice(authorUser, notice)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    const commentingError = commentModeration.getCommentingError(authorUser, notice);
+    if (commentingError) {
+      return res.status(403).json({ success: false, message: commentingError });
+    }
+
     const comment = new Comment({
       notice: noticeId,
       author: authorUser._id,
-      content
+      content,
+      mentions: await mentions.resolveMentions(content, notice, authorUser)
     });
 
+    const screening = commentModeration.screenComment(comment, content);
+    if (screening.error) {
+      return res.status(400).json({ success: false, message: screening.error });
+    }
+
     // If this is a reply to another comment, we'll validate the parent id
     const { parentCommentId } = req.body;
 
     // Save the comment first to ensure it has an _id
     await comment.save();
     await comment.populate('author', 'name role department');
+    await comment.populate('mentions.user', 'name role department');
 
     if (parentCommentId) {
       // Validate parentCommentId shape
@@ -148,6 +212,10 @@ router.post('/', async (req, res) => {
       }
 
       try {
+        comment.parentComment = parentComment._id;
+        comment.isReply = true;
+        await comment.save();
+
         parentComment.replies.push(comment._id);
         await parentComment.save();
       } catch (attachErr) {
@@ -156,21 +224,34 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // Held comments stay quiet until a moderator restores them
+    if (screening.held) {
+      return res.status(201).json({
+        success: true,
+        message: 'Comment is awaiting moderation',
+        data: comment
+      });
+    }
+
     // Create notification for notice author if we have both authors
     try {
       if (notice.author && notice.author._id && notice.author._id.toString() !== authorUser._id.toString()) {
-        const notification = new Notification({
-          user: notice.author._id,
-          type: 'comment',
-          message: `${authorUser.name} commented on your notice: ${notice.title}`,
-          relatedNotice: notice._id,
-          relatedComment: comment._id
-        });
-        await notification.save();
-
-        // Emit real-time notification if io available
+        const delivery = await notificationPreferences.resolveDelivery(notice.author._id, { type: 'comment' });
+
+        if (delivery.inApp) {
+          const notification = new Notification({
+            user: notice.author._id,
+            type: 'comment',
+            message: `${authorUser.name} commented on your notice: ${notice.title}`,
+            relatedNotice: notice._id,
+            relatedComment: comment._id
+          });
+          await notification.save();
+        }
+
+        // Emit real-time notification if io available (not during quiet hours)
         const io = req.app.get('io');
-        if (io && typeof io.to === 'function') {
+        if (delivery.inApp && delivery.realtime && io && typeof io.to === 'function') {
           try {
             io.to(`user-${notice.author._id}`).emit('new-comment', {
               comment: comment.toObject(),
@@ -191,21 +272,25 @@ router.post('/', async (req, res) => {
       try {
         const parent = await Comment.findById(comment.parentComment).populate('author');
         if (parent && parent.author && parent.author._id.toString() !== authorUser._id.toString()) {
-          try {
-            const replyNotification = new Notification({
-              user: parent.author._id,
-              type: 'comment',
-              message: `${authorUser.name} replied to your comment on: ${notice.title}`,
-              relatedNotice: notice._id,
-              relatedComment: comment._id
-            });
-            await replyNotification.save();
-          } catch (saveNotifyErr) {
-            console.error('Failed saving reply notification:', saveNotifyErr);
+          const delivery = await notificationPreferences.resolveDelivery(parent.author._id, { type: 'comment' });
+
+          if (delivery.inApp) {
+            try {
+              const replyNotification = new Notification({
+                user: parent.author._id,
+                type: 'comment',
+                message: `${authorUser.name} replied to your comment on: ${notice.title}`,
+                relatedNotice: notice._id,
+                relatedComment: comment._id
+              });
+              await replyNotification.save();
+            } catch (saveNotifyErr) {
+              console.error('Failed saving reply notification:', saveNotifyErr);
+            }
           }
 
           const io = req.app.get('io');
-          if (io && typeof io.to === 'function') {
+          if (delivery.inApp && delivery.realtime && io && typeof io.to === 'function') {
             try {
               io.to(`user-${parent.author._id}`).emit('new-comment', {
                 comment: comment.toObject(),
@@ -222,6 +307,15 @@ router.post('/', async (req, res) => {
       }
     }
 
+    await mentions.notifyMentions(comment.mentions.map(m => ({ user: m.user._id, handle: m.handle })), {
+      comment,
+      notice,
+      author: authorUser
+    });
+
+    // Let everyone who can read the notice refresh its comments
+    socketService.notifyNewComment(comment, notice);
+
     res.status(201).json({
       success: true,
       message: 'Comment added successfully',
@@ -256,9 +350,7 @@ router.put('/:id', async (req, res) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (token) {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        authorUser = await User.findById(decoded.userId);
+        authorUser = await verifyAccessToken(token);
       }
     } catch (authErr) {
       // ignore here; fallback below
@@ -306,6 +398,25 @@ router.put('/:id', async (req, res) => {
     }
 
     const { content } = req.body;
+    const notice = await Notice.findById(comment.notice);
+
+    const commentingError = notice && commentModeration.getCommentingError(authorUser, notice);
+    if (commentingError) {
+      return res.status(403).json({ success: false, message: commentingError });
+    }
+
+    const screening = commentModeration.screenComment(comment, content);
+    if (screening.error) {
+      return res.status(400).json({ success: false, message: screening.error });
+    }
+
+    // Only users who weren't mentioned before get notified about an edit
+    const previouslyMentioned = comment.mentions.map(m => m.user.toString());
+    if (notice) {
+      comment.mentions = await mentions.resolveMentions(content, notice, { _id: comment.author });
+    }
+    const newMentions = comment.mentions.filter(m => !previouslyMentioned.includes(m.user.toString()));
+
     comment.content = content;
     comment.isEdited = true;
     comment.editedAt = new Date();
@@ -313,13 +424,19 @@ router.put('/:id', async (req, res) => {
     await comment.save();
     await comment.populate('author', 'name role department');
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    io.emit('comment-edited', comment);
+    // Notify new mentions, then emit real-time update to the notice's audience.
+    // A hidden comment is dropped from readers' views instead.
+    if (notice && comment.moderation.status === 'hidden') {
+      socketService.notifyDeletedComment(comment._id, notice);
+    } else if (notice) {
+      await mentions.notifyMentions(newMentions, { comment, notice, author: authorUser });
+      await comment.populate('mentions.user', 'name role department');
+      socketService.notifyEditedComment(comment, notice);
+    }
 
     res.json({
       success: true,
-      message: 'Comment updated successfully',
+      message: screening.held ? 'Comment is awaiting moderation' : 'Comment updated successfully',
       data: comment
     });
   } catch (error) {
@@ -348,9 +465,7 @@ router.delete('/:id', async (req, res) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (token) {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        authorUser = await User.findById(decoded.userId);
+        authorUser = await verifyAccessToken(token);
       }
     } catch (authErr) {
       // ignore here; fallback below
@@ -386,43 +501,197 @@ router.delete('/:id', async (req, res) => {
       }
     }
 
-    // Check if user is the author or admin
+    const notice = await Notice.findById(comment.notice);
+
+    // Check if user is the author, admin or moderator of the notice
     const isAdmin = authorUser?.role === 'admin';
     const isAuthor = comment.author.toString() === authorUser?._id.toString();
+    const isModerator = commentModeration.canModerate(authorUser, notice);
 
-    if (!isAdmin && !isAuthor) {
+    if (!isAdmin && !isAuthor && !isModerator) {
       return res.status(403).json({ 
         success: false, 
         message: 'You can only delete your own comments' 
       });
     }
 
-    // If it's a parent comment, delete all replies too
-    if (!comment.parentComment) {
-      await Comment.deleteMany({ parentComment: comment._id });
-    } else {
-      // If it's a reply, remove it from parent's replies array
-      const parentComment = await Comment.findById(comment.parentComment);
-      if (parentComment) {
-        parentComment.replies = parentComment.replies.filter(
-          replyId => replyId.toString() !== comment._id.toString()
-        );
-        await parentComment.save();
+    // Move to the trash along with any replies; trashed replies drop out of
+    // the parent's populated replies by themselves
+    const { repliesTrashed } = await trash.trashComment(comment, authorUser);
+
+    // Authors deleting their own comments aren't audited; moderators are
+    if (!isAuthor) {
+      await recordAudit(req, {
+        action: 'comment.delete',
+        actor: authorUser,
+        targetType: 'Comment',
+        target: comment,
+        targetLabel: commentLabel(comment),
+        before: toAuditSnapshot(comment, AUDITED_COMMENT_FIELDS),
+        metadata: { repliesTrashed }
+      });
+    }
+
+    // Emit real-time update to the notice's audience
+    if (notice) {
+      socketService.notifyDeletedComment(comment._id, notice);
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment moved to trash',
+      data: { purgeAt: trash.getPurgeDate(comment.deletedAt) }
+    });
+  } catch (error) {
+    console.error('Delete Comment Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete comment' 
+    });
+  }
+});
+
+// Get Trashed Comments (Admin: all; others: their own comments and comments
+// on their notices). Comments trashed along with a notice or parent come back
+// with it, so only directly deleted ones are listed.
+router.get('/trash', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    let query = { deletedAt: { $ne: null }, deletedWith: null };
+
+    if (req.user.role !== 'admin') {
+      const myNoticeIds = await Notice.find({ author: req.user._id }).distinct('_id');
+      query.$or = [{ author: req.user._id }, { notice: { $in: myNoticeIds } }];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name role department')
+      .populate('notice', 'title')
+      .populate('deletedBy', 'name role')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: comments.map(comment => ({
+        ...comment.toObject(),
+        purgeAt: trash.getPurgeDate(comment.deletedAt)
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
       }
+    });
+  } catch (error) {
+    console.error('Get Comment Trash Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch trash' 
+    });
+  }
+});
+
+// Load a trashed comment the user may manage, or send the error
+const loadTrashedComment = async (req, res) => {
+  const mongoose = require('mongoose');
+  const comment = mongoose.Types.ObjectId.isValid(req.params.id) &&
+    await Comment.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  const notice = comment && await Notice.findById(comment.notice).setOptions({ withDeleted: true });
+
+  if (!comment || !notice) {
+    res.status(404).json({ success: false, message: 'Comment not found in trash' });
+    return null;
+  }
+
+  const isAuthor = comment.author.toString() === req.user._id.toString();
+  if (!isAuthor && !commentModeration.canModerate(req.user, notice)) {
+    res.status(403).json({ success: false, message: 'You can only manage your own comments' });
+    return null;
+  }
+
+  return { comment, notice };
+};
+
+// Restore Comment from Trash, with its replies and notifications
+router.post('/trash/:id/restore', authenticate, async (req, res) => {
+  try {
+    const loaded = await loadTrashedComment(req, res);
+    if (!loaded) return;
+
+    const { comment, notice } = loaded;
+
+    if (notice.deletedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The notice is in the trash. Restore the notice instead.' 
+      });
     }
 
-    await comment.deleteOne();
+    if (comment.deletedWith) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This reply was deleted with its parent comment. Restore the parent instead.' 
+      });
+    }
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    io.emit('comment-deleted', comment._id);
+    await trash.restoreComment(comment);
+    await comment.populate('author', 'name role department');
+
+    await recordAudit(req, {
+      action: 'comment.undelete',
+      targetType: 'Comment',
+      target: comment,
+      targetLabel: commentLabel(comment)
+    });
+
+    if (comment.moderation.status !== 'hidden') {
+      socketService.notifyNewComment(comment, notice);
+    }
 
     res.json({
       success: true,
-      message: 'Comment deleted successfully'
+      message: 'Comment restored',
+      data: comment
     });
   } catch (error) {
-    console.error('Delete Comment Error:', error);
+    console.error('Restore Comment From Trash Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to restore comment' 
+    });
+  }
+});
+
+// Delete Comment Permanently
+router.delete('/trash/:id', authenticate, async (req, res) => {
+  try {
+    const loaded = await loadTrashedComment(req, res);
+    if (!loaded) return;
+
+    const { comment } = loaded;
+    await trash.purgeComment(comment);
+
+    await recordAudit(req, {
+      action: 'comment.purge',
+      targetType: 'Comment',
+      target: comment,
+      targetLabel: commentLabel(comment),
+      before: toAuditSnapshot(comment, AUDITED_COMMENT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted permanently'
+    });
+  } catch (error) {
+    console.error('Purge Comment Error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Failed to delete comment' 
@@ -430,4 +699,209 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Report Comment (any reader of the notice, once per comment)
+router.post('/:id/report', authenticate, async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+    const comment = await Comment.findById(req.params.id);
+    const notice = comment && await Notice.findById(comment.notice);
+
+    if (!comment || !notice || !canViewNotice(req.user, notice)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Comment not found' 
+      });
+    }
+
+    if (comment.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot report your own comment' 
+      });
+    }
+
+    const result = await Comment.updateOne(
+      { _id: comment._id, 'reports.user': { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason } },
+        $set: { 'moderation.needsReview': true }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You have already reported this comment' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment reported. A moderator will review it.'
+    });
+  } catch (error) {
+    console.error('Report Comment Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to report comment' 
+    });
+  }
+});
+
+// Get Moderation Queue (Admin: all comments, Faculty: comments on their notices)
+router.get('/moderation/queue', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    let query = { 'moderation.needsReview': true };
+
+    if (req.user.role !== 'admin') {
+      query.notice = { $in: await Notice.find({ author: req.user._id }).distinct('_id') };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name role department')
+      .populate('notice', 'title author commentsMode')
+      .populate('reports.user', 'name role')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: comments,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Moderation Queue Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch moderation queue' 
+    });
+  }
+});
+
+// Load a comment and its notice for a moderation action, or send the error
+const loadForModeration = async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  const notice = comment && await Notice.findById(comment.notice);
+
+  if (!comment || !notice) {
+    res.status(404).json({ success: false, message: 'Comment not found' });
+    return null;
+  }
+
+  if (!commentModeration.canModerate(req.user, notice)) {
+    res.status(403).json({ success: false, message: 'You can only moderate comments on your own notices' });
+    return null;
+  }
+
+  return { comment, notice };
+};
+
+// Hide Comment (moderators)
+router.post('/:id/hide', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const loaded = await loadForModeration(req, res);
+    if (!loaded) return;
+
+    const { comment, notice } = loaded;
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+
+    comment.moderation.status = 'hidden';
+    comment.moderation.needsReview = false;
+    comment.moderation.reason = reason;
+    comment.moderation.reviewedBy = req.user._id;
+    comment.moderation.reviewedAt = new Date();
+    await comment.save();
+    await recordAudit(req, {
+      action: 'comment.hide',
+      targetType: 'Comment',
+      target: comment,
+      targetLabel: commentLabel(comment),
+      after: toAuditSnapshot(comment, AUDITED_COMMENT_FIELDS),
+      metadata: reason ? { reason } : null
+    });
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      const notification = await Notification.create({
+        user: comment.author,
+        type: 'system',
+        message: `Your comment on "${notice.title}" was hidden by a moderator${reason ? `: ${reason}` : ''}`,
+        relatedNotice: notice._id,
+        relatedComment: comment._id
+      });
+      socketService.notifyUser(comment.author, notification);
+    }
+
+    socketService.notifyDeletedComment(comment._id, notice);
+
+    res.json({
+      success: true,
+      message: 'Comment hidden',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Hide Comment Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to hide comment' 
+    });
+  }
+});
+
+// Restore Comment (moderators). Also dismisses reports on a visible comment.
+router.post('/:id/restore', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const loaded = await loadForModeration(req, res);
+    if (!loaded) return;
+
+    const { comment, notice } = loaded;
+    const wasHidden = comment.moderation.status === 'hidden';
+
+    comment.moderation.status = 'visible';
+    comment.moderation.needsReview = false;
+    comment.moderation.reason = null;
+    comment.moderation.reviewedBy = req.user._id;
+    comment.moderation.reviewedAt = new Date();
+    await comment.save();
+    await recordAudit(req, {
+      action: 'comment.restore',
+      targetType: 'Comment',
+      target: comment,
+      targetLabel: commentLabel(comment),
+      metadata: { wasHidden }
+    });
+    await comment.populate('author', 'name role department');
+
+    if (wasHidden) {
+      // Mentions in a held comment were never announced
+      if (comment.moderation.flaggedWords.length > 0) {
+        await mentions.notifyMentions(comment.mentions, { comment, notice, author: comment.author });
+      }
+      socketService.notifyNewComment(comment, notice);
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment restored',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Restore Comment Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to restore comment' 
+    });
+  }
+});
+
 module.exports = router;
@@ -5,6 +5,8 @@ const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
 const { authenticate } = require('../middleware/auth');
+const { buildAudienceFilter } = require('../utils/noticeAccess');
+const { buildPendingNoticeFilter } = require('../utils/noticeAcknowledgments');
 
 // @route   GET /api/dashboard/stats
 // @desc    Get dashboard statistics based on user role
@@ -15,13 +17,8 @@ router.get('/stats', authenticate, async (req, res) => {
     const now = new Date();
     let stats = {};
 
-    // Filter for department-specific visibility
-    const departmentFilter = {
-      $or: [
-        { department: 'All Departments' },
-        { department: user.department }
-      ]
-    };
+    // Only notices whose audience includes this user
+    const audienceFilter = buildAudienceFilter(user);
 
     // ============================
     // ADMIN DASHBOARD STATS
@@ -31,6 +28,7 @@ router.get('/stats', authenticate, async (req, res) => {
         totalNotices,
         activeNotices,
         pendingApprovals,
+        pendingAccounts,
         totalUsers,
         totalComments,
         currentNotices,
@@ -39,6 +37,7 @@ router.get('/stats', authenticate, async (req, res) => {
       ] = await Promise.all([
         Notice.countDocuments({}),
         Notice.countDocuments({ status: 'published' }),
+        Notice.countDocuments({ status: 'pending_review' }),
         User.countDocuments({ status: 'pending' }),
         User.countDocuments({}),
         Comment.countDocuments({}),
@@ -66,6 +65,7 @@ router.get('/stats', authenticate, async (req, res) => {
         totalNotices,
         activeNotices,
         pendingApprovals,
+        pendingAccounts,
         totalUsers,
         totalComments,
         currentNotices,
@@ -82,6 +82,7 @@ router.get('/stats', authenticate, async (req, res) => {
         myNotices,
         publishedNotices,
         scheduledNotices,
+        pendingReviewNotices,
         myComments,
         unreadNotifications,
         currentNotices,
@@ -95,6 +96,7 @@ router.get('/stats', authenticate, async (req, res) => {
           status: 'scheduled',
           scheduledDate: { $exists: true, $ne: null }
         }),
+        Notice.countDocuments({ author: user._id, status: 'pending_review' }),
         Comment.countDocuments({ author: user._id }),
         Notification.countDocuments({ user: user._id, read: false }),
         // Current
@@ -126,6 +128,7 @@ router.get('/stats', authenticate, async (req, res) => {
         myNotices,
         publishedNotices,
         scheduledNotices,
+        pendingReviewNotices,
         myComments,
         unreadNotifications,
         currentNotices,
@@ -138,19 +141,23 @@ router.get('/stats', authenticate, async (req, res) => {
     // STUDENT DASHBOARD STATS
     // ============================
     else {
+      const pendingAcknowledgmentFilter = await buildPendingNoticeFilter(user);
+
       const [
         unreadNotifications,
         myComments,
         currentNotices,
         upcomingNotices,
-        pastNotices
+        pastNotices,
+        pendingAcknowledgments,
+        pendingAcknowledgmentCount
       ] = await Promise.all([
         Notification.countDocuments({ user: user._id, read: false }),
         Comment.countDocuments({ author: user._id }),
 
         // Current (published)
         Notice.find({
-          ...departmentFilter,
+          ...audienceFilter,
           status: 'published'
         })
           .sort({ createdAt: -1 })
@@ -159,7 +166,7 @@ router.get('/stats', authenticate, async (req, res) => {
 
         // Upcoming (scheduled for future)
         Notice.find({
-          ...departmentFilter,
+          ...audienceFilter,
           status: 'scheduled',
           scheduledDate: { $gt: now }
         })
@@ -169,13 +176,20 @@ router.get('/stats', authenticate, async (req, res) => {
 
         // Past (old published)
         Notice.find({
-          ...departmentFilter,
+          ...audienceFilter,
           status: 'published',
           scheduledDate: { $lt: now }
         })
           .sort({ createdAt: -1 })
           .limit(5)
-          .populate('author', 'name role')
+          .populate('author', 'name role'),
+
+        // Pending acknowledgment (soonest deadline first)
+        Notice.find(pendingAcknowledgmentFilter)
+          .sort({ 'acknowledgment.dueDate': 1 })
+          .limit(5)
+          .populate('author', 'name role'),
+        Notice.countDocuments(pendingAcknowledgmentFilter)
       ]);
 
       stats = {
@@ -186,7 +200,9 @@ router.get('/stats', authenticate, async (req, res) => {
         pastNotices,
         currentCount: currentNotices.length,
         upcomingCount: upcomingNotices.length,
-        pastCount: pastNotices.length
+        pastCount: pastNotices.length,
+        pendingAcknowledgments,
+        pendingAcknowledgmentCount
       };
     }
 
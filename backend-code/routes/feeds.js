@@ -0,0 +1,85 @@
+// routes/feeds.js
+const express = require('express');
+const router = express.Router();
+const Notice = require('../models/Notice');
+const { optionalAuthenticate } = require('../middleware/auth');
+const { buildNoticeListQuery, NOTICE_LIST_SORT } = require('../utils/noticeQuery');
+const noticeFeeds = require('../utils/noticeFeeds');
+
+const DEFAULT_FEED_LIMIT = 50;
+const MAX_FEED_LIMIT = 100;
+
+// Feed title naming the filters, e.g. "SCNBCP Notices: CSE, exams"
+const getFeedTitle = ({ department, category, priority }) => {
+  const parts = [department, category, priority && `${priority} priority`]
+    .filter(part => part && !part.startsWith('all'));
+
+  return parts.length > 0 ? `${noticeFeeds.FEED_TITLE}: ${parts.join(', ')}` : noticeFeeds.FEED_TITLE;
+};
+
+// Notice Feed (RSS 2.0 or Atom), filterable by department, category and priority.
+// Without a token only notices marked public are listed; with one, the same
+// notices the reader would see in GET /api/notices.
+router.get('/notices.:format', optionalAuthenticate, async (req, res) => {
+  try {
+    const { format } = req.params;
+    const { department, category, priority } = req.query;
+
+    if (!noticeFeeds.FEED_FORMATS[format]) {
+      return res.status(404).json({ success: false, message: 'Feed format must be rss or atom' });
+    }
+
+    // A repeated query parameter arrives as an array
+    if ([department, category, priority].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ success: false, message: 'department, category and priority can only be given once' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT);
+
+    const query = buildNoticeListQuery({ category, department, priority }, req.user);
+
+    const notices = await Notice.find(query)
+      .select('title content category department priority isPinned author publishedAt createdAt updatedAt')
+      .populate('author', 'name')
+      .sort(NOTICE_LIST_SORT)
+      .limit(limit)
+      .lean();
+
+    const reader = req.user ? req.user._id.toString() : 'public';
+    const { etag, lastModified } = noticeFeeds.buildFeedValidators(
+      notices,
+      [format, reader, department, category, priority, limit].join('|')
+    );
+
+    res.set({
+      ETag: etag,
+      'Cache-Control': req.user ? 'private, no-cache' : 'public, max-age=300',
+      Vary: 'Authorization'
+    });
+    if (lastModified) {
+      res.set('Last-Modified', lastModified.toUTCString());
+    }
+
+    // Conditional GET: compares If-None-Match / If-Modified-Since with the
+    // validators above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+    res.type(noticeFeeds.FEED_FORMATS[format]);
+    res.send(noticeFeeds.buildFeed(format, notices, {
+      title: getFeedTitle({ department, category, priority }),
+      selfUrl
+    }));
+  } catch (error) {
+    console.error('Get Notice Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build notice feed'
+    });
+  }
+});
+
+module.exports = router;
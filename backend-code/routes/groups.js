@@ -0,0 +1,462 @@
+// routes/groups.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Notice = require('../models/Notice');
+const User = require('../models/User');
+const { authenticate, isAdminOrFaculty } = require('../middleware/auth');
+const { buildGroupMemberQuery } = require('../utils/groupMembership');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+
+const RULE_KEYS = ['roles', 'departments', 'years'];
+const RULE_ROLES = ['admin', 'faculty', 'student'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Only the group's creator or an admin may change it
+const canManageGroup = (user, group) => {
+  return user.role === 'admin' || group.createdBy.toString() === user._id.toString();
+};
+
+// Validate a list of user ids and drop duplicates
+const parseUserIds = (userIds) => {
+  if (!Array.isArray(userIds) || !userIds.every(isValidId)) {
+    return { error: 'userIds must be an array of user ids' };
+  }
+
+  return { userIds: [...new Set(userIds.map(id => id.toString()))] };
+};
+
+// Validate the rules of a dynamic group
+const parseRules = (rules = {}) => {
+  const parsed = {};
+
+  for (const key of RULE_KEYS) {
+    const value = rules[key] || [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+      return { error: `rules.${key} must be an array of strings` };
+    }
+    parsed[key] = [...new Set(value.map(item => item.trim()))];
+  }
+
+  if (!parsed.roles.every(role => RULE_ROLES.includes(role))) {
+    return { error: `rules.roles may only contain ${RULE_ROLES.join(', ')}` };
+  }
+
+  if (RULE_KEYS.every(key => parsed[key].length === 0)) {
+    return { error: 'A dynamic group needs at least one rule' };
+  }
+
+  return { rules: parsed };
+};
+
+// Get All Groups (Admin/Faculty)
+router.get('/', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { type, search, page = 1, limit = 50 } = req.query;
+
+    let query = {};
+
+    if (type && type !== 'all') {
+      query.type = type;
+    }
+
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const groups = await Group.find(query)
+      .select('-members')
+      .populate('createdBy', 'name role')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Group.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: groups,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Groups Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch groups'
+    });
+  }
+});
+
+// Get Groups of the Current User
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const groups = await Group.find({ _id: { $in: req.user.groupIds } })
+      .select('name description type')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    console.error('Get My Groups Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch groups'
+    });
+  }
+});
+
+// Get Single Group (Admin/Faculty)
+router.get('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id)
+      .populate('createdBy', 'name role');
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const memberCount = await User.countDocuments(buildGroupMemberQuery(group));
+
+    res.json({
+      success: true,
+      data: {
+        ...group.toObject(),
+        memberCount
+      }
+    });
+  } catch (error) {
+    console.error('Get Group Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group'
+    });
+  }
+});
+
+// Get Group Members (Admin/Faculty). Works for static and dynamic groups.
+router.get('/:id/members', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const query = buildGroupMemberQuery(group);
+    const skip = (page - 1) * limit;
+
+    const members = await User.find(query)
+      .select('name email role department year studentId employeeId isActive')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: members,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Group Members Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group members'
+    });
+  }
+});
+
+// Create Group (Admin/Faculty)
+router.post('/', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { name, description, type, members = [], rules } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Group name is required' });
+    }
+
+    if (!['static', 'dynamic'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be static or dynamic' });
+    }
+
+    const group = new Group({
+      name: String(name).trim(),
+      description,
+      type,
+      createdBy: req.user._id
+    });
+
+    if (type === 'static') {
+      const { userIds, error } = parseUserIds(members);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      group.members = userIds;
+    } else {
+      const { rules: parsedRules, error } = parseRules(rules);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      group.rules = parsedRules;
+    }
+
+    const existingGroup = await Group.findOne({ name: group.name });
+    if (existingGroup) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group with this name already exists'
+      });
+    }
+
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: group
+    });
+  } catch (error) {
+    console.error('Create Group Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group'
+    });
+  }
+});
+
+// Update Group (creator or Admin). Static groups take a full `members`
+// list; use the members endpoints to add or remove a few.
+router.put('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { name, description, members, rules } = req.body;
+
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!canManageGroup(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update groups you created'
+      });
+    }
+
+    if (name && String(name).trim() !== group.name) {
+      const existingGroup = await Group.findOne({ name: String(name).trim() });
+      if (existingGroup) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group with this name already exists'
+        });
+      }
+      group.name = String(name).trim();
+    }
+
+    if (description !== undefined) {
+      group.description = description;
+    }
+
+    if (group.type === 'static' && members !== undefined) {
+      const { userIds, error } = parseUserIds(members);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      group.members = userIds;
+    }
+
+    if (group.type === 'dynamic' && rules !== undefined) {
+      const { rules: parsedRules, error } = parseRules(rules);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      group.rules = parsedRules;
+    }
+
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: group
+    });
+  } catch (error) {
+    console.error('Update Group Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group'
+    });
+  }
+});
+
+// Add Members to a Static Group (creator or Admin)
+router.post('/:id/members', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { userIds, error } = parseUserIds(req.body.userIds);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!canManageGroup(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update groups you created'
+      });
+    }
+
+    if (group.type !== 'static') {
+      return res.status(400).json({
+        success: false,
+        message: 'Members of a dynamic group follow its rules'
+      });
+    }
+
+    await Group.updateOne({ _id: group._id }, { $addToSet: { members: { $each: userIds } } });
+
+    res.json({
+      success: true,
+      message: 'Members added successfully'
+    });
+  } catch (error) {
+    console.error('Add Group Members Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add members'
+    });
+  }
+});
+
+// Remove a Member from a Static Group (creator or Admin)
+router.delete('/:id/members/:userId', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.userId)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!canManageGroup(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update groups you created'
+      });
+    }
+
+    if (group.type !== 'static') {
+      return res.status(400).json({
+        success: false,
+        message: 'Members of a dynamic group follow its rules'
+      });
+    }
+
+    await Group.updateOne({ _id: group._id }, { $pull: { members: req.params.userId } });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove Group Member Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// Delete Group (creator or Admin)
+router.delete('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!canManageGroup(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete groups you created'
+      });
+    }
+
+    // Deleting a group would silently change who can read these notices
+    const noticeCount = await Notice.countDocuments({ 'audience.groups': group._id, isArchived: false });
+    if (noticeCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Group is the audience of ${noticeCount} active notice(s). Archive them or change their audience first.`
+      });
+    }
+
+    await group.deleteOne();
+    await recordAudit(req, {
+      action: 'group.delete',
+      targetType: 'Group',
+      target: group,
+      before: toAuditSnapshot(group, ['name', 'description', 'type', 'members', 'rules', 'createdBy'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete Group Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group'
+    });
+  }
+});
+
+module.exports = router;
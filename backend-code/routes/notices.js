@@ -3,60 +3,71 @@ const express = require('express');
 const router = express.Router();
 const Notice = require('../models/Notice');
 const Comment = require('../models/Comment');
-const Notification = require('../models/Notification');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { authenticate, isAdminOrFaculty } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { authenticate, optionalAuthenticate, isAdmin, isAdminOrFaculty } = require('../middleware/auth');
+const { verifyAccessToken } = require('../utils/tokenService');
+const {
+  canViewNotice,
+  isPublicNotice,
+  buildVisibilityFilter,
+  buildDepartmentFilter,
+  parseAudienceInput
+} = require('../utils/noticeAccess');
+const { buildNoticeListQuery, NOTICE_LIST_SORT } = require('../utils/noticeQuery');
+const { findUnknownGroupIds } = require('../utils/groupMembership');
+const { highlightNotice } = require('../utils/searchHighlight');
+const noticeReview = require('../utils/noticeReview');
+const noticeRevisions = require('../utils/noticeRevisions');
+const NoticeRevision = require('../models/NoticeRevision');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const trash = require('../utils/trash');
+const noticeAcknowledgments = require('../utils/noticeAcknowledgments');
+const noticeEvents = require('../utils/noticeEvents');
+const noticeInteractions = require('../utils/noticeInteractions');
+const NoticeInteraction = require('../models/NoticeInteraction');
 
-// Get All Notices (with filters)
-// NOTE: made public so frontend can load notices in dev without auth. If req.user exists
-// the response will be filtered based on role/department as before.
-router.get('/', async (req, res) => {
-  try {
-    const { category, department, status, search, page = 1, limit = 20 } = req.query;
-    
-    let query = { isArchived: false };
+// Notice fields kept in audit snapshots
+const AUDITED_NOTICE_FIELDS = ['title', 'category', 'department', 'audience', 'author', 'priority', 'status', 'createdAt'];
 
-    // Filter by category
-    if (category && category !== 'all') {
-      query.category = category;
-    }
+// Attachments sent in the request body are plain links. Uploaded files can
+// only be added through the attachments endpoint, so never trust a storageKey
+// from the client.
+const toLinkAttachments = (attachments = []) => attachments.map(a => ({
+  name: a.name,
+  type: a.type,
+  url: a.url,
+  size: a.size
+}));
 
-    // Filter by department
-    if (department && department !== 'all') {
-      query.department = { $in: [department, 'All Departments'] };
-    } else if (req.user && (req.user.role === 'student' || req.user.role === 'faculty')) {
-      // Students and faculty see their department notices and global notices
-      query.department = { $in: [req.user.department, 'All Departments'] };
-    }
+// Parse the audience body and make sure every targeted group exists
+const readAudience = async (body) => {
+  const result = parseAudienceInput(body);
 
-    // Filter by status
-    if (status) {
-      query.status = status;
-    } else {
-      query.status = 'published';
+  if (result.audience && result.audience.groups.length > 0) {
+    const unknown = await findUnknownGroupIds(result.audience.groups);
+    if (unknown.length > 0) {
+      return { error: `Unknown group(s): ${unknown.join(', ')}` };
     }
+  }
 
-    // Search in title and content
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
-    }
+  return result;
+};
 
-    // Filter by target year for students (only if we have a logged in user)
-    if (req.user && req.user.role === 'student' && req.user.year) {
-      query.$or = [
-        { targetYear: { $in: [null, '', req.user.year] } }
-      ];
-    }
+// Get All Notices (with filters)
+// Without a token only published notices marked public are listed; with one,
+// the notices whose audience includes the user.
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const { category, department, priority, status, search, page = 1, limit = 20 } = req.query;
+
+    const query = buildNoticeListQuery({ category, department, priority, status, search }, req.user);
 
     const skip = (page - 1) * limit;
 
     const notices = await Notice.find(query)
       .populate('author', 'name role department')
-      .sort({ isPinned: -1, createdAt: -1 })
+      .sort(NOTICE_LIST_SORT)
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -91,31 +102,406 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Search Notices (full-text, relevance ranked)
+router.get('/search', authenticate, async (req, res) => {
+  try {
+    const { q, category, department, author, from, to, page = 1, limit = 20 } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Search query (q) is required' 
+      });
+    }
+
+    // Every filter is its own $and clause so none of them can overwrite
+    // the role scoping
+    const conditions = [
+      { isArchived: false },
+      { status: 'published' }
+    ];
+
+    const visibility = buildVisibilityFilter(req.user);
+    if (Object.keys(visibility).length > 0) {
+      conditions.push(visibility);
+    }
+
+    if (category && category !== 'all') {
+      conditions.push({ category });
+    }
+
+    if (department && department !== 'all') {
+      conditions.push(buildDepartmentFilter(department));
+    }
+
+    if (author) {
+      if (!mongoose.Types.ObjectId.isValid(author)) {
+        return res.status(400).json({ success: false, message: 'Invalid author' });
+      }
+      conditions.push({ author: new mongoose.Types.ObjectId(author) });
+    }
+
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = new Date(from);
+      if (to) createdAt.$lte = new Date(to);
+
+      if (Object.values(createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date range' });
+      }
+      conditions.push({ createdAt });
+    }
+
+    const query = {
+      $text: { $search: String(q) },
+      $and: conditions
+    };
+
+    const skip = (page - 1) * limit;
+
+    const [notices, total] = await Promise.all([
+      Notice.find(query, { score: { $meta: 'textScore' } })
+        .populate('author', 'name role department')
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notice.countDocuments(query)
+    ]);
+
+    const results = notices.map(notice => {
+      const data = notice.toObject();
+      return {
+        ...data,
+        score: notice.get('score'),
+        highlights: highlightNotice(notice, String(q))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search Notices Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to search notices' 
+    });
+  }
+});
+
+// Review Queue (Admin only)
+router.get('/review-queue', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { department, page = 1, limit = 20 } = req.query;
+
+    let query = { status: 'pending_review' };
+
+    if (department && department !== 'all') {
+      Object.assign(query, buildDepartmentFilter(department));
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [notices, total] = await Promise.all([
+      Notice.find(query)
+        .populate('author', 'name role department employeeId')
+        .sort({ 'review.submittedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: notices,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Review Queue Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch review queue' 
+    });
+  }
+});
+
+// Browse Archived Notices (with year/month facets)
+router.get('/archive', authenticate, async (req, res) => {
+  try {
+    const { category, department, year, month, page = 1, limit = 20 } = req.query;
+
+    let query = { isArchived: true };
+
+    if (category && category !== 'all') {
+      query.category = category;
+    }
+
+    const conditions = [buildVisibilityFilter(req.user)];
+
+    if (department && department !== 'all') {
+      conditions.push(buildDepartmentFilter(department));
+    }
+
+    query.$and = conditions;
+
+    // Facets are computed before the year/month filter so the client can
+    // always show every period that has archived notices
+    const facetQuery = { ...query };
+
+    if (year) {
+      const y = parseInt(year);
+      const m = month ? parseInt(month) - 1 : null;
+      // $year/$month group in UTC, so filter on UTC boundaries too
+      const start = new Date(Date.UTC(y, m !== null ? m : 0, 1));
+      const end = m !== null ? new Date(Date.UTC(y, m + 1, 1)) : new Date(Date.UTC(y + 1, 0, 1));
+      query.createdAt = { $gte: start, $lt: end };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [notices, total, facets] = await Promise.all([
+      Notice.find(query)
+        .populate('author', 'name role department')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notice.countDocuments(query),
+      Notice.aggregate([
+        { $match: facetQuery },
+        {
+          $group: {
+            _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.year': -1, '_id.month': -1 } }
+      ])
+    ]);
+
+    // Roll month buckets up into years
+    const years = [];
+    facets.forEach(item => {
+      let entry = years.find(y => y.year === item._id.year);
+      if (!entry) {
+        entry = { year: item._id.year, count: 0, months: [] };
+        years.push(entry);
+      }
+      entry.count += item.count;
+      entry.months.push({ month: item._id.month, count: item.count });
+    });
+
+    res.json({
+      success: true,
+      data: notices,
+      facets: { years },
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Archive Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch archived notices' 
+    });
+  }
+});
+
+// Get Trashed Notices (Admin: all, Faculty: their own)
+router.get('/trash', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    let query = { deletedAt: { $ne: null } };
+
+    if (req.user.role !== 'admin') {
+      query.author = req.user._id;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const notices = await Notice.find(query)
+      .populate('author', 'name role department')
+      .populate('deletedBy', 'name role')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notice.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: notices.map(notice => ({
+        ...notice.toObject(),
+        purgeAt: trash.getPurgeDate(notice.deletedAt)
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Trash Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch trash' 
+    });
+  }
+});
+
+// Load a trashed notice the user may manage, or send the error
+const loadTrashedNotice = async (req, res) => {
+  const notice = mongoose.Types.ObjectId.isValid(req.params.id) &&
+    await Notice.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+  if (!notice) {
+    res.status(404).json({ success: false, message: 'Notice not found in trash' });
+    return null;
+  }
+
+  if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'You can only manage your own notices' });
+    return null;
+  }
+
+  return notice;
+};
+
+// Restore Notice from Trash (author or admin), with its comments and notifications
+router.post('/trash/:id/restore', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await loadTrashedNotice(req, res);
+    if (!notice) return;
+
+    await trash.restoreNotice(notice);
+    await notice.populate('author', 'name role department');
+
+    await recordAudit(req, {
+      action: 'notice.undelete',
+      targetType: 'Notice',
+      target: notice
+    });
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: 'Notice restored',
+      data: notice
+    });
+  } catch (error) {
+    console.error('Restore Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to restore notice' 
+    });
+  }
+});
+
+// Delete Notice Permanently (author or admin)
+router.delete('/trash/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await loadTrashedNotice(req, res);
+    if (!notice) return;
+
+    await trash.purgeNotice(notice);
+
+    await recordAudit(req, {
+      action: 'notice.purge',
+      targetType: 'Notice',
+      target: notice,
+      before: toAuditSnapshot(notice, AUDITED_NOTICE_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Notice deleted permanently'
+    });
+  } catch (error) {
+    console.error('Purge Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete notice' 
+    });
+  }
+});
+
+// Notices the Current User Still Has to Acknowledge, soonest deadline first
+router.get('/pending-acknowledgment', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = await noticeAcknowledgments.buildPendingNoticeFilter(req.user);
+    const skip = (page - 1) * limit;
+
+    const notices = await Notice.find(query)
+      .populate('author', 'name role department')
+      .sort({ 'acknowledgment.dueDate': 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notice.countDocuments(query);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: notices.map(notice => ({
+        ...notice.toObject(),
+        isOverdue: notice.acknowledgment.dueDate <= now
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Pending Acknowledgments Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch pending acknowledgments' 
+    });
+  }
+});
+
 // Get Single Notice
-// Public read: if user is present (authenticated middleware earlier in pipeline),
-// we'll record views; otherwise just return the notice.
-router.get('/:id', async (req, res) => {
+// With a token we check the notice's audience and record the view; without
+// one only published notices marked public can be read.
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const notice = await Notice.findById(req.params.id)
       .populate('author', 'name role department employeeId');
 
-    if (!notice) {
+    const canView = req.user ? canViewNotice(req.user, notice) : isPublicNotice(notice);
+
+    if (!notice || !canView) {
       return res.status(404).json({ 
         success: false, 
         message: 'Notice not found' 
       });
     }
 
-    // Add view if user is available and hasn't viewed before
+    // Record the view; only a user's first view counts towards viewCount
+    let hasAcknowledged = false;
     if (req.user) {
-      const hasViewed = notice.views.some(
-        view => view.user.toString() === req.user._id.toString()
-      );
-
-      if (!hasViewed) {
-        notice.views.push({ user: req.user._id });
-        await notice.save();
+      if (await noticeInteractions.recordView(notice, req.user)) {
+        notice.viewCount++;
       }
+      hasAcknowledged = await noticeInteractions.hasAcknowledged(notice._id, req.user._id);
     }
 
     // Get comments
@@ -127,6 +513,7 @@ router.get('/:id', async (req, res) => {
       success: true,
       data: {
         ...notice.toObject(),
+        ...(req.user && { hasAcknowledged }),
         comments
       }
     });
@@ -152,6 +539,8 @@ router.post('/', async (req, res) => {
       priority, 
       status,
       scheduledDate,
+      expiresAt,
+      isPublic,
       attachments
     } = req.body;
 
@@ -160,8 +549,7 @@ router.post('/', async (req, res) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        authorUser = await User.findById(decoded.userId);
+        authorUser = await verifyAccessToken(token);
       }
     } catch (authErr) {
       // ignore here; we'll either fallback in dev or reject below
@@ -197,6 +585,25 @@ router.post('/', async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied. Admin or Faculty only.' });
     }
 
+    if (status === 'pending_review') {
+      return res.status(400).json({ success: false, message: 'Notices are submitted for review automatically' });
+    }
+
+    const { audience, error: audienceError } = await readAudience(req.body);
+    if (audienceError) {
+      return res.status(400).json({ success: false, message: audienceError });
+    }
+
+    const { acknowledgment, error: acknowledgmentError } = noticeAcknowledgments.parseAcknowledgmentInput(req.body);
+    if (acknowledgmentError) {
+      return res.status(400).json({ success: false, message: acknowledgmentError });
+    }
+
+    const { event, error: eventError } = noticeEvents.parseEventInput(req.body, category);
+    if (eventError) {
+      return res.status(400).json({ success: false, message: eventError });
+    }
+
     const notice = new Notice({
       title,
       content,
@@ -207,44 +614,52 @@ router.post('/', async (req, res) => {
       priority,
       status,
       scheduledDate,
-      attachments
+      expiresAt,
+      isPublic: Boolean(isPublic),
+      attachments: toLinkAttachments(attachments)
     });
 
+    // Without an explicit audience, department/targetYear define it
+    if (audience) {
+      notice.setAudience(audience);
+    }
+
+    if (acknowledgment) {
+      noticeAcknowledgments.applyAcknowledgment(notice, acknowledgment);
+    }
+
+    if (event) {
+      noticeEvents.applyEvent(notice, event);
+    }
+
+    // Faculty notices wait for admin approval before going live
+    const submittedForReview = noticeReview.requiresReview(authorUser) && noticeReview.submitForReview(notice);
+
+    if (notice.status === 'published') {
+      notice.publishedAt = new Date();
+    }
+
     await notice.save();
     await notice.populate('author', 'name role department');
+    await noticeRevisions.recordRevision(notice, authorUser);
 
-    // Create notifications for relevant users
-    if (status === 'published') {
-      // Find users who should receive this notification
-      let targetUsers = {};
-      if (department === 'All Departments') {
-        targetUsers = await User.find({ role: 'student', isActive: true });
-      } else {
-        targetUsers = await User.find({ 
-          role: 'student', 
-          department, 
-          isActive: true 
-        });
+    if (submittedForReview) {
+      try {
+        await noticeReview.notifyReviewers(notice, authorUser);
+      } catch (notifyErr) {
+        console.error('Failed to notify reviewers:', notifyErr);
       }
+    }
 
-      // Create notifications
-      const notifications = targetUsers.map(user => ({
-        user: user._id,
-        type: 'new_notice',
-        message: `New ${category} notice: ${title}`,
-        relatedNotice: notice._id
-      }));
-
-      await Notification.insertMany(notifications);
-
-      // Notify all connected clients using socketService
-      const socketService = require('../utils/socketService');
-      socketService.notifyNewNotice(notice);
+    // Create notifications for relevant users
+    if (notice.status === 'published') {
+      const noticePublisher = require('../utils/noticePublisher');
+      await noticePublisher.announceNotice(notice);
     }
 
     res.status(201).json({
       success: true,
-      message: 'Notice created successfully',
+      message: submittedForReview ? 'Notice submitted for approval' : 'Notice created successfully',
       data: notice
     });
   } catch (error) {
@@ -276,8 +691,7 @@ router.put('/:id', async (req, res) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        actingUser = await User.findById(decoded.userId);
+        actingUser = await verifyAccessToken(token);
       }
     } catch (e) {
       console.warn('Token verify failed for update');
@@ -314,21 +728,139 @@ router.put('/:id', async (req, res) => {
       priority,
       status,
       scheduledDate,
+      expiresAt,
+      isPublic,
       attachments
     } = req.body;
 
+    if (status === 'pending_review') {
+      return res.status(400).json({ success: false, message: 'Notices are submitted for review automatically' });
+    }
+
+    const { audience, error: audienceError } = await readAudience(req.body);
+    if (audienceError) {
+      return res.status(400).json({ success: false, message: audienceError });
+    }
+
+    const { acknowledgment, error: acknowledgmentError } = noticeAcknowledgments.parseAcknowledgmentInput(req.body, notice.acknowledgment.dueDate);
+    if (acknowledgmentError) {
+      return res.status(400).json({ success: false, message: acknowledgmentError });
+    }
+
+    const newCategory = category || notice.category;
+    const { event, error: eventError } = noticeEvents.parseEventInput(req.body, newCategory);
+    if (eventError) {
+      return res.status(400).json({ success: false, message: eventError });
+    }
+
+    if (event === undefined && notice.event.startAt && !noticeEvents.EVENT_CATEGORIES.includes(newCategory)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remove the event details (event: null) before moving the notice out of events or exams'
+      });
+    }
+
+    // Notices from before version history get their current state kept as v1
+    await noticeRevisions.ensureBaseline(notice);
+
     notice.title = title || notice.title;
     notice.content = content || notice.content;
     notice.category = category || notice.category;
-    notice.department = department || notice.department;
-    notice.targetYear = targetYear !== undefined ? targetYear : notice.targetYear;
-    notice.priority = priority || notice.priority;
+
+    // An explicit audience wins; the legacy fields only change their own dimension
+    if (audience) {
+      notice.setAudience(audience);
+    } else if (department || targetYear !== undefined) {
+      notice.setAudience({
+        departments: department
+          ? (department === 'All Departments' ? [] : [department])
+          : [...notice.audience.departments],
+        years: targetYear !== undefined
+          ? (targetYear ? [targetYear] : [])
+          : [...notice.audience.years],
+        roles: [...notice.audience.roles],
+        groups: [...notice.audience.groups]
+      });
+    }
+
+    notice.priority = priority || notice.priority;
     notice.status = status || notice.status;
     notice.scheduledDate = scheduledDate || notice.scheduledDate;
-    notice.attachments = attachments || notice.attachments;
+    notice.expiresAt = expiresAt !== undefined ? expiresAt : notice.expiresAt;
+    notice.isPublic = isPublic !== undefined ? Boolean(isPublic) : notice.isPublic;
+
+    if (acknowledgment) {
+      noticeAcknowledgments.applyAcknowledgment(notice, acknowledgment);
+    }
+
+    if (event !== undefined) {
+      noticeEvents.applyEvent(notice, event);
+    }
+
+    // Keep uploaded files the client still lists; remember the rest for cleanup
+    let removedStorageKeys = [];
+    if (attachments) {
+      const keptIds = attachments.filter(a => a._id).map(a => a._id.toString());
+      const stored = notice.attachments.filter(a => a.storageKey);
+      const storedIds = stored.map(a => a._id.toString());
+      const keptStored = stored.filter(a => keptIds.includes(a._id.toString()));
+      removedStorageKeys = stored.filter(a => !keptStored.includes(a)).map(a => a.storageKey);
+
+      const links = attachments.filter(a => !a._id || !storedIds.includes(a._id.toString()));
+      notice.attachments = [...keptStored, ...toLinkAttachments(links)];
+    }
+
+    // A new expiry date gets its own warning
+    if (notice.isModified('expiresAt')) {
+      notice.expiryWarningSentAt = null;
+    }
+
+    // Status and content changes by faculty go (back) through review; an
+    // admin moving a pending notice live counts as approving it, and moving
+    // it back to draft withdraws it from the queue
+    const submittedForReview = noticeReview.submitEditForReview(notice, actingUser);
+    if (notice.isModified('status')) {
+      const approvesPending = !noticeReview.requiresReview(actingUser) &&
+        notice.review.status === 'pending' && notice.status !== 'draft';
+
+      if (approvesPending) {
+        notice.review.status = 'approved';
+        notice.review.reviewedBy = actingUser._id;
+        notice.review.reviewedAt = new Date();
+      }
+
+      if (notice.status === 'draft' && notice.review.status === 'pending') {
+        notice.review.status = 'not_required';
+      }
+    }
+
+    // Manually publishing a draft or scheduled notice announces it right away
+    const isNewlyPublished = notice.isModified('status') && notice.status === 'published';
+    if (isNewlyPublished) {
+      notice.publishedAt = new Date();
+    }
 
     await notice.save();
     await notice.populate('author', 'name role department');
+    await noticeRevisions.recordRevision(notice, actingUser);
+
+    if (isNewlyPublished) {
+      const noticePublisher = require('../utils/noticePublisher');
+      await noticePublisher.announceNotice(notice);
+    }
+
+    if (submittedForReview) {
+      try {
+        await noticeReview.notifyReviewers(notice, actingUser);
+      } catch (notifyErr) {
+        console.error('Failed to notify reviewers:', notifyErr);
+      }
+    }
+
+    if (removedStorageKeys.length > 0) {
+      const { getStorage } = require('../utils/storage');
+      await Promise.all(removedStorageKeys.map(key => getStorage().remove(key)));
+    }
 
     // Notify all connected clients about the notice update
     const socketService = require('../utils/socketService');
@@ -336,7 +868,7 @@ router.put('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Notice updated successfully',
+      message: submittedForReview ? 'Notice submitted for approval' : 'Notice updated successfully',
       data: notice
     });
   } catch (error) {
@@ -348,7 +880,8 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete Notice (Admin & Faculty only)
+// Delete Notice (Admin & Faculty only). Moves it to the trash with its
+// comments and notifications; it is purged after the retention period.
 router.delete('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
   try {
     const notice = await Notice.findById(req.params.id);
@@ -368,21 +901,24 @@ router.delete('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
       });
     }
 
-    // Delete associated comments
-    await Comment.deleteMany({ notice: notice._id });
+    const { commentsTrashed } = await trash.trashNotice(notice, req.user);
 
-    // Delete associated notifications
-    await Notification.deleteMany({ relatedNotice: notice._id });
-
-    await notice.deleteOne();
+    await recordAudit(req, {
+      action: 'notice.delete',
+      targetType: 'Notice',
+      target: notice,
+      before: toAuditSnapshot(notice, AUDITED_NOTICE_FIELDS),
+      metadata: { commentsTrashed, attachments: notice.attachments.length }
+    });
 
     // Notify all connected clients about the notice deletion
     const socketService = require('../utils/socketService');
-    socketService.notifyDeletedNotice(req.params.id);
+    socketService.notifyDeletedNotice(notice);
 
     res.json({
       success: true,
-      message: 'Notice deleted successfully'
+      message: 'Notice moved to trash',
+      data: { purgeAt: trash.getPurgeDate(notice.deletedAt) }
     });
   } catch (error) {
     console.error('Delete Notice Error:', error);
@@ -393,8 +929,8 @@ router.delete('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
   }
 });
 
-// Acknowledge Notice
-router.post('/:id/acknowledge', authenticate, async (req, res) => {
+// Approve Notice (Admin only)
+router.post('/:id/approve', authenticate, isAdmin, async (req, res) => {
   try {
     const notice = await Notice.findById(req.params.id);
 
@@ -405,20 +941,309 @@ router.post('/:id/acknowledge', authenticate, async (req, res) => {
       });
     }
 
-    // Check if already acknowledged
-    const hasAcknowledged = notice.acknowledged.some(
-      ack => ack.user.toString() === req.user._id.toString()
-    );
+    if (notice.status !== 'pending_review') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Notice is not awaiting review' 
+      });
+    }
+
+    notice.status = notice.review.requestedStatus || 'published';
+    notice.review.status = 'approved';
+    notice.review.reviewedBy = req.user._id;
+    notice.review.reviewedAt = new Date();
+    notice.review.reason = req.body.reason || null;
+
+    if (notice.status === 'published') {
+      notice.publishedAt = new Date();
+    }
+
+    await notice.save();
+    await recordAudit(req, {
+      action: 'notice.approve',
+      targetType: 'Notice',
+      target: notice,
+      before: { status: 'pending_review' },
+      after: { status: notice.status },
+      metadata: notice.review.reason ? { reason: notice.review.reason } : null
+    });
+    await notice.populate('author', 'name role department');
+
+    // Scheduled notices are announced by the scheduler when they fall due
+    if (notice.status === 'published') {
+      const noticePublisher = require('../utils/noticePublisher');
+      await noticePublisher.announceNotice(notice);
+    }
+
+    try {
+      await noticeReview.notifyAuthor(notice);
+    } catch (notifyErr) {
+      console.error('Failed to notify notice author:', notifyErr);
+    }
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: 'Notice approved',
+      data: notice
+    });
+  } catch (error) {
+    console.error('Approve Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to approve notice' 
+    });
+  }
+});
+
+// Reject Notice (Admin only)
+router.post('/:id/reject', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required when rejecting a notice' 
+      });
+    }
+
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    if (notice.status !== 'pending_review') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Notice is not awaiting review' 
+      });
+    }
+
+    // Back to draft so the author can revise and resubmit
+    notice.status = 'draft';
+    notice.review.status = 'rejected';
+    notice.review.reviewedBy = req.user._id;
+    notice.review.reviewedAt = new Date();
+    notice.review.reason = String(reason).trim();
+
+    await notice.save();
+    await recordAudit(req, {
+      action: 'notice.reject',
+      targetType: 'Notice',
+      target: notice,
+      before: { status: 'pending_review' },
+      after: { status: 'draft' },
+      metadata: { reason: notice.review.reason }
+    });
+
+    try {
+      await noticeReview.notifyAuthor(notice);
+    } catch (notifyErr) {
+      console.error('Failed to notify notice author:', notifyErr);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notice rejected',
+      data: notice
+    });
+  } catch (error) {
+    console.error('Reject Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reject notice' 
+    });
+  }
+});
+
+// Archive Notice (author or admin)
+router.post('/:id/archive', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only archive your own notices' 
+      });
+    }
+
+    if (notice.isArchived) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Notice is already archived' 
+      });
+    }
+
+    notice.isArchived = true;
+    notice.archivedAt = new Date();
+    notice.archivedBy = req.user._id;
+    await notice.save();
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: 'Notice archived successfully',
+      data: notice
+    });
+  } catch (error) {
+    console.error('Archive Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to archive notice' 
+    });
+  }
+});
+
+// Unarchive Notice (author or admin)
+router.post('/:id/unarchive', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.id);
 
-    if (!hasAcknowledged) {
-      notice.acknowledged.push({ user: req.user._id });
-      await notice.save();
+    if (!notice) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only unarchive your own notices' 
+      });
+    }
+
+    if (!notice.isArchived) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Notice is not archived' 
+      });
+    }
+
+    const { expiresAt } = req.body;
+
+    if (expiresAt !== undefined) {
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'expiresAt must be in the future' 
+        });
+      }
+      notice.expiresAt = expiresAt || null;
+    } else if (notice.expiresAt && notice.expiresAt <= new Date()) {
+      // Otherwise the scheduler would archive it again on the next run
+      notice.expiresAt = null;
+    }
+
+    notice.isArchived = false;
+    notice.archivedAt = null;
+    notice.archivedBy = null;
+    notice.expiryWarningSentAt = null;
+    await notice.save();
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: 'Notice restored from archive',
+      data: notice
+    });
+  } catch (error) {
+    console.error('Unarchive Notice Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to unarchive notice' 
+    });
+  }
+});
+
+// Lock or Disable Comments (author or admin)
+router.put('/:id/comments-mode', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (!['open', 'locked', 'disabled'].includes(mode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'mode must be open, locked or disabled' 
+      });
+    }
+
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only change comment settings on your own notices' 
+      });
+    }
+
+    notice.commentsMode = mode;
+    await notice.save();
+
+    const socketService = require('../utils/socketService');
+    socketService.notifyUpdatedNotice(notice);
+
+    res.json({
+      success: true,
+      message: `Comments are now ${mode}`,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Update Comments Mode Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update comment settings' 
+    });
+  }
+});
+
+// Acknowledge Notice
+router.post('/:id/acknowledge', authenticate, async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice || !canViewNotice(req.user, notice)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Notice not found' 
+      });
+    }
+
+    // Acknowledging again is a no-op
+    if (await noticeInteractions.recordAcknowledgment(notice, req.user)) {
+      notice.acknowledgedCount++;
     }
 
     res.json({
       success: true,
       message: 'Notice acknowledged',
-      acknowledgedCount: notice.acknowledged.length
+      acknowledgedCount: notice.acknowledgedCount
     });
   } catch (error) {
     console.error('Acknowledge Error:', error);
@@ -429,4 +1254,312 @@ router.post('/:id/acknowledge', authenticate, async (req, res) => {
   }
 });
 
+
+// Load a notice for the acknowledgment endpoints (author or admin), or send the error
+const loadNoticeForAcknowledgments = async (req, res) => {
+  const notice = mongoose.Types.ObjectId.isValid(req.params.id) && await Notice.findById(req.params.id);
+
+  if (!notice) {
+    res.status(404).json({ success: false, message: 'Notice not found' });
+    return null;
+  }
+
+  if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'You can only view acknowledgments of your own notices' });
+    return null;
+  }
+
+  return notice;
+};
+
+// Acknowledgment Status (author or admin): who acknowledged and, paginated,
+// who in the audience still hasn't
+router.get('/:id/acknowledgments', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const notice = await loadNoticeForAcknowledgments(req, res);
+    if (!notice) return;
+
+    const pendingQuery = await noticeAcknowledgments.buildPendingUserQuery(notice);
+    const skip = (page - 1) * limit;
+
+    const [acknowledged, pending, pendingCount] = await Promise.all([
+      NoticeInteraction.find({ notice: notice._id, type: 'acknowledgment' })
+        .populate('user', 'name role department year studentId')
+        .sort({ createdAt: 1 }),
+      User.find(pendingQuery)
+        .select('name email role department year studentId')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(pendingQuery)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        required: notice.acknowledgment.required,
+        dueDate: notice.acknowledgment.dueDate,
+        acknowledgedCount: acknowledged.length,
+        pendingCount,
+        acknowledged: acknowledged.map(ack => ({
+          user: ack.user,
+          acknowledgedAt: ack.createdAt
+        })),
+        pending
+      },
+      pagination: {
+        total: pendingCount,
+        page: parseInt(page),
+        pages: Math.ceil(pendingCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Acknowledgments Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch acknowledgments' 
+    });
+  }
+});
+
+// Acknowledgment Compliance Report (author or admin). Every targeted user as
+// acknowledged, viewed but not acknowledged, or not viewed, with totals per
+// department and year. ?format=csv downloads one row per user.
+router.get('/:id/acknowledgments/report', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await loadNoticeForAcknowledgments(req, res);
+    if (!notice) return;
+
+    const report = await noticeAcknowledgments.buildComplianceReport(notice);
+
+    if (req.query.format !== 'csv') {
+      return res.json({
+        success: true,
+        data: {
+          notice: {
+            _id: notice._id,
+            title: notice.title,
+            acknowledgment: notice.acknowledgment
+          },
+          ...report
+        }
+      });
+    }
+
+    const { toCsvRow } = require('../utils/csv');
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="acknowledgments-${notice._id}-${stamp}.csv"`);
+    res.write(toCsvRow([
+      'name', 'email', 'studentId', 'employeeId', 'role', 'department', 'year',
+      'status', 'viewedAt', 'acknowledgedAt'
+    ]));
+
+    for (const user of [...report.acknowledged, ...report.viewedNotAcknowledged, ...report.notViewed]) {
+      res.write(toCsvRow([
+        user.name,
+        user.email,
+        user.studentId,
+        user.employeeId,
+        user.role,
+        user.department,
+        user.year,
+        user.status,
+        user.viewedAt,
+        user.acknowledgedAt
+      ]));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Acknowledgment Report Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to build acknowledgment report' 
+    });
+  }
+});
+
+// Load a notice for the history endpoints, or send a 404 if the user can't read it
+const loadNoticeForHistory = async (req, res) => {
+  const notice = mongoose.Types.ObjectId.isValid(req.params.id) && await Notice.findById(req.params.id);
+
+  if (!notice || !canViewNotice(req.user, notice)) {
+    res.status(404).json({ success: false, message: 'Notice not found' });
+    return null;
+  }
+
+  return notice;
+};
+
+// Get Notice History (anyone who can read the notice)
+router.get('/:id/history', authenticate, async (req, res) => {
+  try {
+    const notice = await loadNoticeForHistory(req, res);
+    if (!notice) return;
+
+    const revisions = await NoticeRevision.find({ notice: notice._id })
+      .select('-snapshot')
+      .populate('editedBy', 'name role')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get Notice History Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch notice history' 
+    });
+  }
+});
+
+// Compare Two Revisions (?from=&to=, defaulting to the latest edit). The first
+// version has nothing before it, so by default it is compared with itself.
+router.get('/:id/history/diff', authenticate, async (req, res) => {
+  try {
+    const notice = await loadNoticeForHistory(req, res);
+    if (!notice) return;
+
+    const latest = await NoticeRevision.findOne({ notice: notice._id }).sort({ version: -1 });
+
+    if (!latest) {
+      return res.status(404).json({ success: false, message: 'This notice has no history yet' });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : latest.version;
+    const from = req.query.from ? parseInt(req.query.from) : Math.max(to - 1, 1);
+
+    const [fromRevision, toRevision] = await Promise.all([
+      NoticeRevision.findOne({ notice: notice._id, version: from }).populate('editedBy', 'name role'),
+      NoticeRevision.findOne({ notice: notice._id, version: to }).populate('editedBy', 'name role')
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { version: fromRevision.version, editedBy: fromRevision.editedBy, createdAt: fromRevision.createdAt },
+        to: { version: toRevision.version, editedBy: toRevision.editedBy, createdAt: toRevision.createdAt },
+        changes: noticeRevisions.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff Notice Revisions Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to compare revisions' 
+    });
+  }
+});
+
+// Get Single Revision
+router.get('/:id/history/:version', authenticate, async (req, res) => {
+  try {
+    const notice = await loadNoticeForHistory(req, res);
+    if (!notice) return;
+
+    const revision = await NoticeRevision.findOne({ notice: notice._id, version: parseInt(req.params.version) })
+      .populate('editedBy', 'name role');
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get Notice Revision Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch revision' 
+    });
+  }
+});
+
+// Restore a Revision (author or admin). Recorded as a new revision.
+router.post('/:id/history/:version/restore', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const notice = await loadNoticeForHistory(req, res);
+    if (!notice) return;
+
+    if (notice.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only restore your own notices' 
+      });
+    }
+
+    const version = parseInt(req.params.version);
+    const revision = await NoticeRevision.findOne({ notice: notice._id, version });
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const before = noticeRevisions.takeSnapshot(notice);
+    noticeRevisions.applyRevision(notice, revision);
+
+    // A new expiry date gets its own warning
+    if (notice.isModified('expiresAt')) {
+      notice.expiryWarningSentAt = null;
+    }
+
+    // Restoring is an edit like any other, so faculty restores go through review
+    const submittedForReview = noticeReview.submitEditForReview(notice, req.user);
+
+    await notice.save();
+    await notice.populate('author', 'name role department');
+    const restored = await noticeRevisions.recordRevision(notice, req.user, { restoredFrom: version });
+
+    if (submittedForReview) {
+      try {
+        await noticeReview.notifyReviewers(notice, req.user);
+      } catch (notifyErr) {
+        console.error('Failed to notify reviewers:', notifyErr);
+      }
+    }
+
+    if (restored) {
+      await recordAudit(req, {
+        action: 'notice.restore_revision',
+        targetType: 'Notice',
+        target: notice,
+        before,
+        after: noticeRevisions.takeSnapshot(notice),
+        metadata: { restoredFrom: version, newVersion: restored.version }
+      });
+
+      const socketService = require('../utils/socketService');
+      socketService.notifyUpdatedNotice(notice);
+    }
+
+    res.json({
+      success: true,
+      message: !restored
+        ? `Notice already matches version ${version}`
+        : submittedForReview
+          ? `Restored version ${version} as version ${restored.version}; submitted for approval`
+          : `Restored version ${version} as version ${restored.version}`,
+      data: notice
+    });
+  } catch (error) {
+    console.error('Restore Notice Revision Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to restore revision' 
+    });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
 const { authenticate } = require('../middleware/auth');
+const { verifyUnsubscribeToken } = require('../utils/emailNotifications');
+const notificationPreferences = require('../utils/notificationPreferences');
+
+const PREFERENCE_CATEGORIES = ['academic', 'events', 'exams', 'circulars'];
+const PREFERENCE_CHANNELS = ['inApp', 'email'];
 
 // Get User Notifications
 router.get('/', authenticate, async (req, res) => {
@@ -49,6 +56,205 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Shape returned by the preferences endpoints; email on/off switches live
+// on the user so the unsubscribe link can change them without logging in
+const formatPreferences = (preferences, user) => ({
+  categories: preferences.categories,
+  minimumPriority: preferences.minimumPriority,
+  types: preferences.types,
+  quietHours: preferences.quietHours,
+  email: {
+    immediate: user.emailSettings?.immediate !== false,
+    digest: user.emailSettings?.digest !== false
+  }
+});
+
+// Get Notification Preferences
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await notificationPreferences.getPreferences(req.user._id);
+
+    res.json({
+      success: true,
+      data: formatPreferences(preferences, req.user)
+    });
+  } catch (error) {
+    console.error('Get Preferences Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch notification preferences' 
+    });
+  }
+});
+
+// Update Notification Preferences (partial updates are merged)
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const { categories, minimumPriority, types, quietHours, email } = req.body;
+    const notificationTypes = Notification.schema.path('type').enumValues;
+
+    const preferences = await NotificationPreference.findOne({ user: req.user._id })
+      || new NotificationPreference({ user: req.user._id });
+
+    if (categories) {
+      for (const [category, enabled] of Object.entries(categories)) {
+        if (!PREFERENCE_CATEGORIES.includes(category)) {
+          return res.status(400).json({ success: false, message: `Unknown category: ${category}` });
+        }
+        preferences.categories[category] = Boolean(enabled);
+      }
+    }
+
+    if (minimumPriority !== undefined) {
+      preferences.minimumPriority = minimumPriority;
+    }
+
+    if (types) {
+      for (const [type, channels] of Object.entries(types)) {
+        if (!notificationTypes.includes(type)) {
+          return res.status(400).json({ success: false, message: `Unknown notification type: ${type}` });
+        }
+        for (const [channel, enabled] of Object.entries(channels || {})) {
+          if (!PREFERENCE_CHANNELS.includes(channel)) {
+            return res.status(400).json({ success: false, message: `Unknown channel: ${channel}` });
+          }
+          preferences.types[type][channel] = Boolean(enabled);
+        }
+      }
+    }
+
+    if (quietHours) {
+      if (quietHours.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone });
+        } catch (tzErr) {
+          return res.status(400).json({ success: false, message: `Unknown timezone: ${quietHours.timezone}` });
+        }
+      }
+
+      ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+        if (quietHours[field] !== undefined) {
+          preferences.quietHours[field] = quietHours[field];
+        }
+      });
+    }
+
+    if (email) {
+      if (email.immediate !== undefined) req.user.emailSettings.immediate = Boolean(email.immediate);
+      if (email.digest !== undefined) req.user.emailSettings.digest = Boolean(email.digest);
+    }
+
+    try {
+      await preferences.save();
+    } catch (validationErr) {
+      if (validationErr.name === 'ValidationError') {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid preferences (quiet hours use HH:MM, priority is low, medium or high)' 
+        });
+      }
+      throw validationErr;
+    }
+
+    if (email) {
+      await req.user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: formatPreferences(preferences, req.user)
+    });
+  } catch (error) {
+    console.error('Update Preferences Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update notification preferences' 
+    });
+  }
+});
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const sendUnsubscribePage = (res, status, body) => {
+  return res.status(status).type('html').send(`<!DOCTYPE html><html><body>${body}</body></html>`);
+};
+
+const describeScope = (scope) => {
+  if (scope === 'digest') return 'the daily digest';
+  if (scope === 'immediate') return 'immediate notice emails';
+  return 'all notice board emails';
+};
+
+// Unsubscribe Confirmation Page (public). Opening the link changes nothing,
+// so mail scanners and link prefetchers can't unsubscribe anyone; the form
+// posts the token back to confirm.
+router.get('/unsubscribe', (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyUnsubscribeToken(req.query.token);
+  } catch (tokenErr) {
+    return sendUnsubscribePage(res, 400, '<p>This unsubscribe link is invalid.</p>');
+  }
+
+  sendUnsubscribePage(res, 200, [
+    `<p>Stop receiving ${describeScope(decoded.scope)}?</p>`,
+    '<form method="post">',
+    `<input type="hidden" name="token" value="${escapeHtml(req.query.token)}">`,
+    '<button type="submit">Unsubscribe</button>',
+    '</form>'
+  ].join(''));
+});
+
+// Unsubscribe from Email (public, authorised by the signed link token).
+// The confirmation form gets an HTML page back, API clients JSON.
+router.post('/unsubscribe', async (req, res) => {
+  const token = req.body.token || req.query.token;
+  const wantsHtml = req.is('application/x-www-form-urlencoded');
+
+  const reply = (status, message) => {
+    if (wantsHtml) {
+      return sendUnsubscribePage(res, status, `<p>${message}</p>`);
+    }
+    return res.status(status).json({ success: status < 400, message });
+  };
+
+  try {
+    let decoded;
+    try {
+      decoded = verifyUnsubscribeToken(token);
+    } catch (tokenErr) {
+      return reply(400, 'This unsubscribe link is invalid.');
+    }
+
+    // Digest links only stop the digest; anything else stops all email
+    const update = decoded.scope === 'digest'
+      ? { 'emailSettings.digest': false }
+      : decoded.scope === 'immediate'
+        ? { 'emailSettings.immediate': false }
+        : { 'emailSettings.digest': false, 'emailSettings.immediate': false };
+
+    const user = await User.findByIdAndUpdate(decoded.userId, { $set: update });
+
+    if (!user) {
+      return reply(404, 'This unsubscribe link is invalid.');
+    }
+
+    reply(200, decoded.scope === 'digest'
+      ? 'You have been unsubscribed from the daily digest.'
+      : 'You have been unsubscribed from notice board emails.');
+  } catch (error) {
+    console.error('Unsubscribe Error:', error);
+    reply(500, 'Failed to unsubscribe. Please try again later.');
+  }
+});
+
 // Mark Notification as Read
 router.put('/:id/read', authenticate, async (req, res) => {
   try {
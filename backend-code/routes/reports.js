@@ -0,0 +1,216 @@
+// routes/reports.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ReportSubscription = require('../models/ReportSubscription');
+const { authenticate, isAdminOrFaculty } = require('../middleware/auth');
+const scheduledReports = require('../utils/scheduledReports');
+
+// Load a subscription the user owns (admins: any), or send the error
+const loadSubscription = async (req, res) => {
+  const subscription = mongoose.Types.ObjectId.isValid(req.params.id) &&
+    await ReportSubscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({ success: false, message: 'Report subscription not found' });
+    return null;
+  }
+
+  if (subscription.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'You can only manage your own report subscriptions' });
+    return null;
+  }
+
+  return subscription;
+};
+
+// Faculty can only send reports to people with an account; returns the
+// error message, if any
+const checkRecipients = async (user, values) => {
+  if (user.role === 'admin' || !values.recipients || values.recipients.length === 0) {
+    return null;
+  }
+
+  const unregistered = await scheduledReports.findUnregisteredRecipients(values.recipients);
+
+  return unregistered.length > 0
+    ? `Reports can only be sent to registered users: ${unregistered.join(', ')}`
+    : null;
+};
+
+// Get Report Subscriptions (own; Admin: everyone's with ?all=true)
+router.get('/', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' && req.query.all === 'true'
+      ? {}
+      : { owner: req.user._id };
+
+    const subscriptions = await ReportSubscription.find(query)
+      .populate('owner', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('Get Report Subscriptions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report subscriptions'
+    });
+  }
+});
+
+// Get Single Report Subscription (owner or Admin)
+router.get('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Get Report Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report subscription'
+    });
+  }
+});
+
+// Create Report Subscription (Admin/Faculty)
+router.post('/', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { values, error } = scheduledReports.parseSubscriptionInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const recipientError = await checkRecipients(req.user, values);
+    if (recipientError) {
+      return res.status(400).json({ success: false, message: recipientError });
+    }
+
+    const subscription = new ReportSubscription({
+      ...values,
+      owner: req.user._id
+    });
+    subscription.nextRunAt = scheduledReports.computeNextRunAt(subscription);
+
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Report subscription created',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Create Report Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create report subscription'
+    });
+  }
+});
+
+// Update Report Subscription (owner or Admin)
+router.put('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const { values, error } = scheduledReports.parseSubscriptionInput(req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const recipientError = await checkRecipients(req.user, values);
+    if (recipientError) {
+      return res.status(400).json({ success: false, message: recipientError });
+    }
+
+    subscription.set(values);
+
+    // A new schedule, or turning the report back on, starts from now
+    if (['frequency', 'dayOfWeek', 'dayOfMonth', 'hour', 'isActive'].some(key => subscription.isModified(key))) {
+      subscription.nextRunAt = scheduledReports.computeNextRunAt(subscription);
+    }
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Report subscription updated',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Update Report Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update report subscription'
+    });
+  }
+});
+
+// Delete Report Subscription (owner or Admin)
+router.delete('/:id', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Report subscription deleted'
+    });
+  } catch (error) {
+    console.error('Delete Report Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete report subscription'
+    });
+  }
+});
+
+// Send a Report Now (owner or Admin). Doesn't change the schedule.
+router.post('/:id/send', authenticate, isAdminOrFaculty, async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    try {
+      await scheduledReports.deliverReport(subscription);
+    } catch (deliveryError) {
+      subscription.lastError = deliveryError.message;
+      await subscription.save();
+      return res.status(502).json({
+        success: false,
+        message: `Report could not be delivered: ${deliveryError.message}`
+      });
+    }
+
+    subscription.lastSentAt = new Date();
+    subscription.lastError = null;
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Report sent',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Send Report Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send report'
+    });
+  }
+});
+
+module.exports = router;
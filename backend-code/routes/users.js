@@ -2,18 +2,134 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const Group = require('../models/Group');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const tokenService = require('../utils/tokenService');
+const socketService = require('../utils/socketService');
+const mentions = require('../utils/mentions');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const Notice = require('../models/Notice');
+const { canViewNotice } = require('../utils/noticeAccess');
+
+// User fields kept in audit snapshots
+const AUDITED_USER_FIELDS = ['name', 'email', 'role', 'department', 'year', 'isActive', 'status'];
+
+// Approve or reject pending accounts. Only accounts that are still pending
+// are touched, so repeating a request is harmless.
+const reviewAccounts = async (userIds, decision, reviewer, reason) => {
+  const update = {
+    status: decision === 'approve' ? 'active' : 'rejected',
+    isActive: decision === 'approve',
+    approval: {
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      reason: reason || null
+    }
+  };
+
+  const pending = await User.find({ _id: { $in: userIds }, status: 'pending' }).select('_id');
+  const ids = pending.map(user => user._id);
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  await User.updateMany({ _id: { $in: ids }, status: 'pending' }, { $set: update });
+
+  if (decision === 'approve') {
+    await Notification.insertMany(ids.map(id => ({
+      user: id,
+      type: 'system',
+      message: 'Your account has been approved. Welcome aboard!'
+    })));
+  }
+
+  return ids;
+};
+
+// Validate the userIds / reason body shared by the approval endpoints
+const parseReviewRequest = (req, decision) => {
+  const userIds = req.params.id ? [req.params.id] : req.body.userIds;
+  const reason = req.body.reason ? String(req.body.reason).trim() : null;
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return { error: 'userIds must be a non-empty array' };
+  }
+
+  if (!userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid user id' };
+  }
+
+  if (decision === 'reject' && !reason) {
+    return { error: 'A reason is required when rejecting an account' };
+  }
+
+  return { userIds, reason };
+};
+
+const handleReview = (decision) => async (req, res) => {
+  try {
+    const { userIds, reason, error } = parseReviewRequest(req, decision);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const reviewed = await reviewAccounts(userIds, decision, req.user, reason);
+
+    for (const userId of reviewed) {
+      await recordAudit(req, {
+        action: decision === 'approve' ? 'user.approve' : 'user.reject',
+        targetType: 'User',
+        target: userId,
+        before: { status: 'pending' },
+        after: { status: decision === 'approve' ? 'active' : 'rejected' },
+        metadata: reason ? { reason } : null
+      });
+    }
+
+    // Single-account endpoints report a missing/already reviewed account
+    if (req.params.id && reviewed.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No pending account found with this id' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${reviewed.length} account(s) ${decision === 'approve' ? 'approved' : 'rejected'}`,
+      data: {
+        reviewed,
+        skipped: userIds.filter(id => !reviewed.some(r => r.toString() === id.toString()))
+      }
+    });
+  } catch (error) {
+    console.error('Review Accounts Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: `Failed to ${decision} accounts` 
+    });
+  }
+};
 
 // Get All Users (Admin only)
 router.get('/', authenticate, isAdmin, async (req, res) => {
   try {
-    const { role, department, page = 1, limit = 50 } = req.query;
+    const { role, department, status, page = 1, limit = 50 } = req.query;
     
     let query = {};
     
     if (role && role !== 'all') {
       query.role = role;
     }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
     
     if (department && department !== 'all') {
       query.department = department;
@@ -47,6 +163,91 @@ router.get('/', authenticate, isAdmin, async (req, res) => {
   }
 });
 
+// Get Pending Accounts (Admin only)
+router.get('/pending', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { role, department, page = 1, limit = 50 } = req.query;
+
+    let query = { status: 'pending' };
+
+    if (role && role !== 'all') {
+      query.role = role;
+    }
+
+    if (department && department !== 'all') {
+      query.department = department;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Pending Users Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch pending accounts' 
+    });
+  }
+});
+
+// Look Up Users to @mention on a notice (any signed-in reader of the notice)
+router.get('/lookup', authenticate, async (req, res) => {
+  try {
+    const { q, noticeId } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ success: false, message: 'q is required' });
+    }
+
+    if (!noticeId || !mongoose.Types.ObjectId.isValid(noticeId)) {
+      return res.status(400).json({ success: false, message: 'A valid noticeId is required' });
+    }
+
+    const notice = await Notice.findById(noticeId);
+
+    if (!notice || !canViewNotice(req.user, notice)) {
+      return res.status(404).json({ success: false, message: 'Notice not found' });
+    }
+
+    const users = await mentions.suggestMentions(String(q).trim(), notice, req.user);
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('User Lookup Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up users'
+    });
+  }
+});
+
+// Bulk Approve / Reject Accounts (Admin only)
+router.post('/bulk-approve', authenticate, isAdmin, handleReview('approve'));
+router.post('/bulk-reject', authenticate, isAdmin, handleReview('reject'));
+
+// Approve / Reject Account (Admin only)
+router.post('/:id/approve', authenticate, isAdmin, handleReview('approve'));
+router.post('/:id/reject', authenticate, isAdmin, handleReview('reject'));
+
 // Get User by ID (Admin only)
 router.get('/:id', authenticate, isAdmin, async (req, res) => {
   try {
@@ -86,6 +287,8 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
       });
     }
 
+    const before = toAuditSnapshot(user, AUDITED_USER_FIELDS);
+
     user.name = name || user.name;
     user.email = email || user.email;
     user.role = role || user.role;
@@ -93,8 +296,40 @@ router.put('/:id', authenticate, isAdmin, async (req, res) => {
     user.year = year || user.year;
     user.isActive = isActive !== undefined ? isActive : user.isActive;
 
+    const isDeactivated = user.isModified('isActive') && !user.isActive;
+    const isRoleChanged = user.isModified('role');
+    const isAudienceChanged = user.isModified('department') || user.isModified('year');
+    const isReactivated = user.isModified('isActive') && user.isActive;
+    const changedFields = AUDITED_USER_FIELDS.filter(field => user.isModified(field));
+
     await user.save();
 
+    if (changedFields.length > 0) {
+      let action = 'user.update';
+      if (isDeactivated) action = 'user.deactivate';
+      else if (isReactivated) action = 'user.activate';
+      else if (isRoleChanged) action = 'user.role_change';
+
+      await recordAudit(req, {
+        action,
+        targetType: 'User',
+        target: user,
+        before,
+        after: toAuditSnapshot(user, AUDITED_USER_FIELDS),
+        metadata: { changedFields }
+      });
+    }
+
+    // Deactivation or a role change signs the user out everywhere
+    if (isDeactivated || isRoleChanged) {
+      await tokenService.revokeAllSessions(user, isDeactivated ? 'deactivated' : 'role_changed');
+    }
+
+    // Reconnecting sockets pick up the new department/year rooms
+    if (isDeactivated || isRoleChanged || isAudienceChanged) {
+      socketService.disconnectUser(user._id);
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -130,6 +365,15 @@ router.delete('/:id', authenticate, isAdmin, async (req, res) => {
     }
 
     await user.deleteOne();
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      target: user,
+      before: toAuditSnapshot(user, AUDITED_USER_FIELDS.concat(['employeeId', 'studentId']))
+    });
+    await RefreshToken.deleteMany({ user: user._id });
+    await Group.updateMany({ members: user._id }, { $pull: { members: user._id } });
+    socketService.disconnectUser(user._id);
 
     res.json({
       success: true,
@@ -152,6 +396,7 @@ router.get('/stats/overview', authenticate, isAdmin, async (req, res) => {
     const facultyCount = await User.countDocuments({ role: 'faculty' });
     const studentCount = await User.countDocuments({ role: 'student' });
     const activeUsers = await User.countDocuments({ isActive: true });
+    const pendingUsers = await User.countDocuments({ status: 'pending' });
 
     res.json({
       success: true,
@@ -161,6 +406,7 @@ router.get('/stats/overview', authenticate, isAdmin, async (req, res) => {
         facultyCount,
         studentCount,
         activeUsers,
+        pendingUsers,
         inactiveUsers: totalUsers - activeUsers
       }
     });
@@ -4,6 +4,9 @@ const dotenv = require('dotenv');
 const User = require('../models/User');
 const Notice = require('../models/Notice');
 const Comment = require('../models/Comment');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+const noticeInteractions = require('../utils/noticeInteractions');
 
 dotenv.config();
 
@@ -17,6 +20,8 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Notice.deleteMany({});
     await Comment.deleteMany({});
+    await NoticeInteraction.deleteMany({});
+    await NoticeDailyStat.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
     // Create Admin User
@@ -109,15 +114,8 @@ const seedDatabase = async () => {
       author: admin._id,
       priority: 'high',
       status: 'published',
-      views: [
-        { user: students[0]._id },
-        { user: students[1]._id },
-        { user: students[2]._id }
-      ],
-      acknowledged: [
-        { user: students[0]._id },
-        { user: students[1]._id }
-      ]
+      isPinned: true,
+      isPublic: true
     });
 
     const notice2 = await Notice.create({
@@ -129,10 +127,12 @@ const seedDatabase = async () => {
       author: faculty1._id,
       priority: 'medium',
       status: 'published',
-      views: [
-        { user: students[0]._id },
-        { user: students[1]._id }
-      ]
+      event: {
+        startAt: new Date('2025-01-20'),
+        endAt: new Date('2025-01-22'),
+        allDay: true,
+        venue: 'Main Auditorium'
+      }
     });
 
     const notice3 = await Notice.create({
@@ -142,9 +142,7 @@ const seedDatabase = async () => {
       department: 'CSE',
       author: faculty1._id,
       priority: 'high',
-      status: 'published',
-      views: [{ user: students[0]._id }],
-      acknowledged: [{ user: students[0]._id }]
+      status: 'published'
     });
 
     const notice4 = await Notice.create({
@@ -154,7 +152,8 @@ const seedDatabase = async () => {
       department: 'All Departments',
       author: admin._id,
       priority: 'medium',
-      status: 'published'
+      status: 'published',
+      isPublic: true
     });
 
     const notice5 = await Notice.create({
@@ -165,13 +164,29 @@ const seedDatabase = async () => {
       targetYear: '4th Year',
       author: admin._id,
       priority: 'high',
-      status: 'published',
-      views: [{ user: students[3]._id }],
-      acknowledged: [{ user: students[3]._id }]
+      status: 'published'
     });
 
     console.log('✅ Notices created');
 
+    // Sample views and acknowledgments: [notice, viewers, acknowledged by]
+    const interactions = [
+      [notice1, [students[0], students[1], students[2]], [students[0], students[1]]],
+      [notice2, [students[0], students[1]], []],
+      [notice3, [students[0]], [students[0]]],
+      [notice5, [students[3]], [students[3]]]
+    ];
+
+    for (const [notice, viewers, acknowledgers] of interactions) {
+      for (const student of viewers) {
+        await noticeInteractions.recordView(notice, student);
+      }
+      for (const student of acknowledgers) {
+        await noticeInteractions.recordAcknowledgment(notice, student);
+      }
+    }
+    console.log('✅ Views and acknowledgments recorded');
+
     // Create Sample Comments
     await Comment.create([
       {
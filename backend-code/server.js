@@ -5,6 +5,7 @@ const cors = require('cors');
 const http = require('http');
 const dotenv = require('dotenv');
 const socketService = require('./utils/socketService');
+const noticeScheduler = require('./utils/noticeScheduler');
 
 dotenv.config();
 
@@ -16,11 +17,17 @@ const server = http.createServer(app);
 // ======================
 const authRoutes = require('./routes/auth');
 const noticeRoutes = require('./routes/notices');
+const attachmentRoutes = require('./routes/attachments');
 const commentRoutes = require('./routes/comments');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
 const notificationRoutes = require('./routes/notifications');
 const dashboardRoutes = require('./routes/dashboard');
+const groupRoutes = require('./routes/groups');
+const auditRoutes = require('./routes/audit');
+const reportRoutes = require('./routes/reports');
+const feedRoutes = require('./routes/feeds');
+const calendarRoutes = require('./routes/calendar');
 
 // ======================
 // 🟢 Middleware
@@ -44,6 +51,7 @@ const connectWithRetry = () => {
   })
   .then(() => {
     console.log('✅ MongoDB Connected Successfully');
+    noticeScheduler.startScheduler();
   })
   .catch(err => {
     console.error('❌ MongoDB Connection Error:', err);
@@ -63,12 +71,18 @@ app.set('io', io);
 // 🟢 Mount Routes (Now Safe)
 // ======================
 app.use('/api/auth', authRoutes);
+app.use('/api/notices/:noticeId/attachments', attachmentRoutes);
 app.use('/api/notices', noticeRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // ======================
 // 🟢 Health Check
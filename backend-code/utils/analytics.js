@@ -0,0 +1,321 @@
+// utils/analytics.js
+// The analytics views behind /api/analytics, shared by the routes, their
+// exports and scheduled reports. Each view takes the requesting user (faculty
+// only see their own notices) and an optional `department` scope.
+const Notice = require('../models/Notice');
+const Comment = require('../models/Comment');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+const noticeReach = require('./noticeReach');
+const { toStatDate } = require('./noticeInteractions');
+const { buildDepartmentFilter } = require('./noticeAccess');
+
+const ANALYTICS_VIEWS = ['dashboard', 'reach', 'engagement'];
+
+const DEFAULT_TIME_RANGE_DAYS = 7;
+const DEFAULT_REACH_DAYS = 30;
+
+// Fields buildReachReport needs from each notice
+const REACH_FIELDS = 'title category author audience publishedAt createdAt';
+
+// Views and acknowledgments per notice, for the notices in `noticeIds`
+const interactionsPerNotice = (noticeIds) => [
+  { $match: { notice: { $in: noticeIds } } },
+  {
+    $group: {
+      _id: '$notice',
+      views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } },
+      acknowledged: { $sum: { $cond: [{ $eq: ['$type', 'acknowledgment'] }, 1, 0] } }
+    }
+  }
+];
+
+// Notices the user may analyse: faculty only their own; optionally only
+// those targeting `department` (including notices for every department)
+const buildScopeQuery = (user, { department } = {}) => {
+  const query = {};
+
+  if (user.role === 'faculty') {
+    query.author = user._id;
+  }
+
+  if (department && department !== 'all') {
+    Object.assign(query, buildDepartmentFilter(department));
+  }
+
+  return query;
+};
+
+const getDashboardAnalytics = async (user, { timeRange = DEFAULT_TIME_RANGE_DAYS, department } = {}) => {
+  const daysAgo = new Date();
+  daysAgo.setDate(daysAgo.getDate() - (parseInt(timeRange) || DEFAULT_TIME_RANGE_DAYS));
+
+  const query = { ...buildScopeQuery(user, { department }), createdAt: { $gte: daysAgo } };
+
+  // Total notices
+  const totalNotices = await Notice.countDocuments(query);
+
+  // Published notices
+  const publishedNotices = await Notice.countDocuments({
+    ...query,
+    status: 'published'
+  });
+
+  const noticeIds = await Notice.find(query).distinct('_id');
+
+  // Total views and acknowledgments
+  const interactionTotals = await NoticeInteraction.aggregate([
+    { $match: { notice: { $in: noticeIds } } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+  const totalFor = (type) => (interactionTotals.find(item => item._id === type) || { count: 0 }).count;
+
+  const totalViews = totalFor('view');
+  const totalAcknowledgments = totalFor('acknowledgment');
+
+  // Total comments
+  const totalComments = await Comment.countDocuments({
+    notice: { $in: noticeIds }
+  });
+
+  // Category breakdown
+  const categoryBreakdown = await Notice.aggregate([
+    { $match: query },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  // Department breakdown
+  const departmentBreakdown = await Notice.aggregate([
+    { $match: query },
+    { $group: { _id: '$department', count: { $sum: 1 } } }
+  ]);
+
+  // Daily activity
+  const dailyActivity = await Notice.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Daily views (repeat views included) and acknowledgments of these notices
+  const dailyEngagement = await NoticeDailyStat.aggregate([
+    { $match: { notice: { $in: noticeIds }, date: { $gte: toStatDate(daysAgo) } } },
+    {
+      $group: {
+        _id: '$date',
+        views: { $sum: '$views' },
+        acknowledgments: { $sum: '$acknowledgments' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Reach of the published notices against the readers they target. The
+  // engagement rate is the share of targeted readers who acknowledged or commented.
+  const publishedDocs = await Notice.find({ ...query, status: 'published' }).select(REACH_FIELDS);
+  const reach = await noticeReach.buildReachReport(publishedDocs);
+
+  // Top performing notices (most viewed)
+  const topStats = await NoticeInteraction.aggregate([
+    ...interactionsPerNotice(noticeIds),
+    { $sort: { views: -1, acknowledged: -1 } },
+    { $limit: 5 }
+  ]);
+  const topIds = topStats.map(item => item._id);
+
+  const [topDocs, topComments] = await Promise.all([
+    Notice.find({ _id: { $in: topIds } })
+      .populate('author', 'name role')
+      .select('title category author createdAt'),
+    Comment.aggregate([
+      { $match: { notice: { $in: topIds } } },
+      { $group: { _id: '$notice', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const topNotices = topStats
+    .map(item => ({
+      notice: topDocs.find(doc => doc._id.equals(item._id)),
+      views: item.views,
+      acknowledged: item.acknowledged,
+      comments: (topComments.find(c => c._id.equals(item._id)) || { count: 0 }).count
+    }))
+    .filter(item => item.notice);
+
+  return {
+    overview: {
+      totalNotices,
+      publishedNotices,
+      totalViews,
+      totalAcknowledgments,
+      totalComments,
+      audienceSize: reach.summary.audience,
+      viewedRate: reach.summary.viewedRate,
+      acknowledgedRate: reach.summary.acknowledgedRate,
+      medianHoursToView: reach.summary.medianHoursToView,
+      medianHoursToAcknowledge: reach.summary.medianHoursToAcknowledge,
+      engagementRate: reach.summary.engagedRate
+    },
+    categoryBreakdown: categoryBreakdown.map(item => ({
+      category: item._id,
+      count: item.count
+    })),
+    departmentBreakdown: departmentBreakdown.map(item => ({
+      department: item._id,
+      count: item.count
+    })),
+    dailyActivity: dailyActivity.map(item => ({
+      date: item._id,
+      count: item.count
+    })),
+    dailyEngagement: dailyEngagement.map(item => ({
+      date: item._id,
+      views: item.views,
+      acknowledgments: item.acknowledgments
+    })),
+    topNotices: topNotices.map(({ notice, views, acknowledged, comments }) => {
+      const noticeReachStats = reach.notices.find(item => item.id.equals(notice._id));
+
+      return {
+        id: notice._id,
+        title: notice.title,
+        category: notice.category,
+        views,
+        acknowledged,
+        comments,
+        audience: noticeReachStats ? noticeReachStats.audience : null,
+        viewedRate: noticeReachStats ? noticeReachStats.viewedRate : null,
+        acknowledgedRate: noticeReachStats ? noticeReachStats.acknowledgedRate : null,
+        author: notice.author,
+        createdAt: notice.createdAt
+      };
+    })
+  };
+};
+
+// Validate the reach options. `from`/`to` default to the last 30 days and a
+// bare date for `to` includes that whole day. Returns { options } or { error }.
+const parseReachOptions = ({ from, to, category, department, interval = 'day' } = {}) => {
+  if (!noticeReach.TREND_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${noticeReach.TREND_INTERVALS.join(', ')}` };
+  }
+
+  const end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REACH_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+
+  return { options: { from: start, to: end, category, department, interval } };
+};
+
+const getReachAnalytics = async (user, { from, to, category, department, interval }) => {
+  // Notices from before publishedAt was recorded fall back to createdAt
+  const query = {
+    ...buildScopeQuery(user, { department }),
+    status: 'published',
+    $and: [{
+      $or: [
+        { publishedAt: { $gte: from, $lte: to } },
+        { publishedAt: null, createdAt: { $gte: from, $lte: to } }
+      ]
+    }]
+  };
+
+  if (category && category !== 'all') {
+    query.category = category;
+  }
+
+  const notices = await Notice.find(query)
+    .select(REACH_FIELDS)
+    .sort({ publishedAt: 1, createdAt: 1 });
+
+  const report = await noticeReach.buildReachReport(notices, { interval });
+
+  return {
+    range: { from, to, interval },
+    ...report
+  };
+};
+
+const getEngagementMetrics = async (user, { department } = {}) => {
+  const noticeIds = await Notice.find(buildScopeQuery(user, { department })).distinct('_id');
+
+  const metrics = {
+    totalNotices: noticeIds.length,
+    averageViews: 0,
+    averageAcknowledgments: 0,
+    averageComments: 0,
+    highEngagementNotices: 0
+  };
+
+  if (noticeIds.length > 0) {
+    const [totals] = await NoticeInteraction.aggregate([
+      ...interactionsPerNotice(noticeIds),
+      {
+        $group: {
+          _id: null,
+          views: { $sum: '$views' },
+          acknowledged: { $sum: '$acknowledged' },
+          // High engagement: more than half of the viewers acknowledged
+          highEngagement: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $gt: ['$views', 0] },
+                  { $gt: ['$acknowledged', { $multiply: ['$views', 0.5] }] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ]);
+    const totalComments = await Comment.countDocuments({ notice: { $in: noticeIds } });
+
+    metrics.averageViews = ((totals ? totals.views : 0) / noticeIds.length).toFixed(2);
+    metrics.averageAcknowledgments = ((totals ? totals.acknowledged : 0) / noticeIds.length).toFixed(2);
+    metrics.averageComments = (totalComments / noticeIds.length).toFixed(2);
+    metrics.highEngagementNotices = totals ? totals.highEngagement : 0;
+  }
+
+  return metrics;
+};
+
+// Run one view with options taken from a query string or a subscription.
+// Returns { data } or { error }.
+const runAnalyticsView = async (view, user, options = {}) => {
+  if (view === 'dashboard') {
+    return { data: await getDashboardAnalytics(user, options) };
+  }
+
+  if (view === 'reach') {
+    const { options: reachOptions, error } = parseReachOptions(options);
+    if (error) return { error };
+    return { data: await getReachAnalytics(user, reachOptions) };
+  }
+
+  if (view === 'engagement') {
+    return { data: await getEngagementMetrics(user, options) };
+  }
+
+  return { error: `view must be one of ${ANALYTICS_VIEWS.join(', ')}` };
+};
+
+module.exports = {
+  ANALYTICS_VIEWS,
+  getDashboardAnalytics,
+  parseReachOptions,
+  getReachAnalytics,
+  getEngagementMetrics,
+  runAnalyticsView
+};
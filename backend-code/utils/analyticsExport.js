@@ -0,0 +1,169 @@
+// utils/analyticsExport.js
+// Turn an analytics view into tables and write them as CSV or XLSX. XLSX
+// gets one worksheet per table; CSV has the tables one after another, each
+// under a line with its name.
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const REACH_COLUMNS = [
+  { header: 'Audience', key: 'audience' },
+  { header: 'Viewed', key: 'viewed' },
+  { header: 'Acknowledged', key: 'acknowledged' },
+  { header: 'Viewed %', key: 'viewedRate' },
+  { header: 'Acknowledged %', key: 'acknowledgedRate' },
+  { header: 'Engaged %', key: 'engagedRate' },
+  { header: 'Median hours to view', key: 'medianHoursToView' },
+  { header: 'Median hours to acknowledge', key: 'medianHoursToAcknowledge' }
+];
+
+// A two-column table of an object's fields
+const toMetricTable = (name, values) => ({
+  name,
+  columns: [{ header: 'Metric', key: 'metric' }, { header: 'Value', key: 'value' }],
+  rows: Object.entries(values).map(([metric, value]) => ({ metric, value }))
+});
+
+const TABLE_BUILDERS = {
+  dashboard: (data) => [
+    toMetricTable('Overview', data.overview),
+    {
+      name: 'Categories',
+      columns: [{ header: 'Category', key: 'category' }, { header: 'Notices', key: 'count' }],
+      rows: data.categoryBreakdown
+    },
+    {
+      name: 'Departments',
+      columns: [{ header: 'Department', key: 'department' }, { header: 'Notices', key: 'count' }],
+      rows: data.departmentBreakdown
+    },
+    {
+      name: 'Daily Activity',
+      columns: [{ header: 'Date', key: 'date' }, { header: 'Notices', key: 'count' }],
+      rows: data.dailyActivity
+    },
+    {
+      name: 'Daily Engagement',
+      columns: [
+        { header: 'Date', key: 'date' },
+        { header: 'Views', key: 'views' },
+        { header: 'Acknowledgments', key: 'acknowledgments' }
+      ],
+      rows: data.dailyEngagement
+    },
+    {
+      name: 'Top Notices',
+      columns: [
+        { header: 'Title', key: 'title' },
+        { header: 'Category', key: 'category' },
+        { header: 'Author', key: 'author' },
+        { header: 'Views', key: 'views' },
+        { header: 'Acknowledged', key: 'acknowledged' },
+        { header: 'Comments', key: 'comments' },
+        { header: 'Audience', key: 'audience' },
+        { header: 'Viewed %', key: 'viewedRate' },
+        { header: 'Acknowledged %', key: 'acknowledgedRate' },
+        { header: 'Created', key: 'createdAt' }
+      ],
+      rows: data.topNotices.map(notice => ({
+        ...notice,
+        author: notice.author ? notice.author.name : null
+      }))
+    }
+  ],
+
+  reach: (data) => [
+    toMetricTable('Summary', {
+      from: data.range.from,
+      to: data.range.to,
+      ...data.summary
+    }),
+    {
+      name: 'By Department',
+      columns: [{ header: 'Department', key: 'department' }, ...REACH_COLUMNS],
+      rows: data.byDepartment
+    },
+    {
+      name: 'By Year',
+      columns: [{ header: 'Year', key: 'year' }, ...REACH_COLUMNS],
+      rows: data.byYear
+    },
+    {
+      name: 'Trend',
+      columns: [{ header: 'Period', key: 'period' }, { header: 'Notices', key: 'notices' }, ...REACH_COLUMNS],
+      rows: data.trend
+    },
+    {
+      name: 'Notices',
+      columns: [
+        { header: 'Title', key: 'title' },
+        { header: 'Category', key: 'category' },
+        { header: 'Published', key: 'publishedAt' },
+        ...REACH_COLUMNS
+      ],
+      rows: data.notices
+    }
+  ],
+
+  engagement: (data) => [toMetricTable('Engagement', data)]
+};
+
+const toTables = (view, data) => TABLE_BUILDERS[view](data);
+
+const writeCsv = (tables) => {
+  return tables.map(table => [
+    toCsvRow([table.name]),
+    toCsvRow(table.columns.map(column => column.header)),
+    ...table.rows.map(row => toCsvRow(table.columns.map(column => row[column.key])))
+  ].join('')).join('\r\n');
+};
+
+const writeXlsx = async (tables) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  for (const table of tables) {
+    const sheet = workbook.addWorksheet(table.name);
+
+    sheet.columns = table.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2)
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    // Ids and other objects go in as text
+    table.rows.forEach(row => {
+      sheet.addRow(Object.fromEntries(table.columns.map(column => {
+        const value = row[column.key];
+        const isPlain = value === null || value === undefined || value instanceof Date ||
+          ['string', 'number', 'boolean'].includes(typeof value);
+        return [column.key, isPlain ? value : String(value)];
+      })));
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// { content, contentType, fileName } for `view` exported as `format`
+const buildExport = async (view, data, format = 'csv') => {
+  const tables = toTables(view, data);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return {
+    content: format === 'xlsx' ? await writeXlsx(tables) : writeCsv(tables),
+    contentType: EXPORT_FORMATS[format].contentType,
+    fileName: `analytics-${view}-${stamp}.${format}`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toTables,
+  buildExport
+};
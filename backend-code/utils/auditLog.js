@@ -0,0 +1,52 @@
+// utils/auditLog.js
+const AuditLog = require('../models/AuditLog');
+
+// Never store secrets in before/after snapshots
+const SECRET_FIELDS = ['password', 'tokenVersion', '__v'];
+
+// Plain copy of a document for the log, limited to `fields` when given
+const toAuditSnapshot = (doc, fields) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  const snapshot = {};
+
+  Object.keys(plain)
+    .filter(key => !SECRET_FIELDS.includes(key))
+    .filter(key => !fields || fields.includes(key))
+    .forEach(key => { snapshot[key] = plain[key]; });
+
+  return snapshot;
+};
+
+// Record an action. `req` supplies the actor (req.user unless `actor` is
+// given), IP and user agent. Failures are logged rather than thrown so the
+// action itself still completes.
+const recordAudit = async (req, { action, targetType, target, targetLabel, before, after, metadata, actor }) => {
+  const user = actor || (req && req.user) || null;
+
+  try {
+    return await AuditLog.create({
+      actor: user ? user._id : null,
+      actorName: user ? user.name : null,
+      actorRole: user ? user.role : null,
+      action,
+      targetType,
+      targetId: target ? (target._id || target) : null,
+      targetLabel: targetLabel || (target && (target.name || target.title || target.email)) || null,
+      before: before || null,
+      after: after || null,
+      metadata: metadata || null,
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') || null : null
+    });
+  } catch (error) {
+    console.error(`Audit Log Error (${action}):`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  toAuditSnapshot,
+  recordAudit
+};
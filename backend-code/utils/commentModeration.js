@@ -0,0 +1,94 @@
+// utils/commentModeration.js
+// Banned-words filter, comment visibility and who may moderate a notice's
+// comments. Admins moderate everything; authors moderate their own notices.
+const { escapeRegex } = require('./regex');
+
+const DEFAULT_FILTER_ACTION = 'hold';
+
+const isSameId = (a, b) => {
+  if (!a || !b) return false;
+  return (a._id || a).toString() === (b._id || b).toString();
+};
+
+// Comma-separated words or phrases from COMMENT_BANNED_WORDS
+const getBannedWords = () => {
+  return (process.env.COMMENT_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// 'reject' refuses the comment; 'hold' saves it hidden for a moderator
+const getFilterAction = () => {
+  return process.env.COMMENT_FILTER_ACTION === 'reject' ? 'reject' : DEFAULT_FILTER_ACTION;
+};
+
+// Banned words/phrases that appear in `text` as whole words
+const findBannedWords = (text) => {
+  return getBannedWords().filter(word => {
+    return new RegExp(`(^|\\W)${escapeRegex(word)}(\\W|$)`, 'i').test(String(text || ''));
+  });
+};
+
+// Run the banned-words filter on new content. Returns { error } if the
+// comment must be rejected; otherwise a held comment is marked hidden and
+// queued for review.
+const screenComment = (comment, content) => {
+  const words = findBannedWords(content);
+
+  if (words.length === 0) {
+    return {};
+  }
+
+  if (getFilterAction() === 'reject') {
+    return { error: 'Comment contains words that are not allowed' };
+  }
+
+  comment.moderation.status = 'hidden';
+  comment.moderation.needsReview = true;
+  comment.moderation.flaggedWords = words;
+  comment.moderation.reason = 'Held by the banned-words filter';
+
+  return { held: true };
+};
+
+const canModerate = (user, notice) => {
+  if (!user || !notice) return false;
+  return user.role === 'admin' || isSameId(notice.author, user._id);
+};
+
+// Why `user` can't comment on `notice` right now, or null if they can.
+// Moderators can still post in locked threads.
+const getCommentingError = (user, notice) => {
+  const mode = notice.commentsMode || 'open';
+
+  if (mode === 'disabled') {
+    return 'Comments are disabled on this notice';
+  }
+
+  if (mode === 'locked' && !canModerate(user, notice)) {
+    return 'Comments on this notice are locked';
+  }
+
+  return null;
+};
+
+// Filter for the comments `user` may see on `notice`: everything for
+// moderators, otherwise visible comments plus the user's own
+const buildVisibleCommentsFilter = (user, notice) => {
+  if (canModerate(user, notice)) {
+    return {};
+  }
+
+  const visible = { 'moderation.status': { $ne: 'hidden' } };
+
+  return user ? { $or: [visible, { author: user._id }] } : visible;
+};
+
+module.exports = {
+  findBannedWords,
+  screenComment,
+  canModerate,
+  getCommentingError,
+  buildVisibleCommentsFilter
+};
@@ -0,0 +1,23 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV writing for exports.
+
+// Quote a value when needed. Values starting with =, +, - or @ are prefixed
+// with ' so spreadsheet apps don't run them as formulas.
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsv).join(',') + '\r\n';
+
+module.exports = {
+  escapeCsv,
+  toCsvRow
+};
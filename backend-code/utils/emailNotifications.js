@@ -0,0 +1,192 @@
+// utils/emailNotifications.js
+// Email channel for notifications: immediate mail for high-priority notices
+// and a once-a-day digest of unread notice/comment notifications.
+const jwt = require('jsonwebtoken');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const notificationPreferences = require('./notificationPreferences');
+
+const DIGEST_TYPES = ['new_notice', 'comment'];
+const DEFAULT_DIGEST_HOUR = 7;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const getApiUrl = () => process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// How long the unsubscribe link in an email keeps working
+const UNSUBSCRIBE_TOKEN_TTL = '60d';
+
+// Unsubscribe links work without logging in, so they carry a signed token
+// that can only be used to change email settings
+const createUnsubscribeToken = (userId, scope) => {
+  return jwt.sign(
+    { userId, scope, type: 'email-unsubscribe' },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: UNSUBSCRIBE_TOKEN_TTL }
+  );
+};
+
+// Links from before tokens expired have no `exp` and are refused
+const verifyUnsubscribeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  if (decoded.type !== 'email-unsubscribe' || !decoded.exp) {
+    throw new Error('Invalid unsubscribe token');
+  }
+  return decoded;
+};
+
+const buildUnsubscribeUrl = (userId, scope) => {
+  return `${getApiUrl()}/api/notifications/unsubscribe?token=${createUnsubscribeToken(userId, scope)}`;
+};
+
+const buildFooter = (userId, scope) => [
+  '',
+  '—',
+  'You are receiving this because you have an account on the college notice board.',
+  `Unsubscribe: ${buildUnsubscribeUrl(userId, scope)}`
+];
+
+// Email everyone in the audience of a high-priority notice straight away
+const sendHighPriorityNoticeEmails = async (notice, users) => {
+  if (notice.priority !== 'high') return 0;
+
+  const recipients = users.filter(user => user.email && user.emailSettings?.immediate !== false);
+  const noticeUrl = `${getFrontendUrl()}/notices/${notice._id}`;
+  let sentCount = 0;
+
+  for (const user of recipients) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `[High priority] ${notice.title}`,
+        text: [
+          `Hi ${user.name},`,
+          '',
+          `A high-priority ${notice.category} notice was just published:`,
+          '',
+          notice.title,
+          '',
+          notice.content,
+          '',
+          `Read it on the notice board: ${noticeUrl}`,
+          ...buildFooter(user._id, 'immediate')
+        ].join('\n')
+      });
+
+      await Notification.updateMany(
+        { user: user._id, relatedNotice: notice._id, type: 'new_notice', emailedAt: null },
+        { $set: { emailedAt: new Date() } }
+      );
+      sentCount++;
+    } catch (error) {
+      console.error(`Failed to email notice ${notice._id} to ${user.email}:`, error);
+    }
+  }
+
+  return sentCount;
+};
+
+const formatDigestLine = (notification) => {
+  const link = notification.relatedNotice
+    ? ` — ${getFrontendUrl()}/notices/${notification.relatedNotice._id || notification.relatedNotice}`
+    : '';
+  return `• ${notification.message}${link}`;
+};
+
+// Today's digest time; before it, the digest isn't due yet
+const getDigestTime = (now) => {
+  const hour = parseInt(process.env.DIGEST_HOUR);
+  const digestTime = new Date(now);
+  digestTime.setHours(isNaN(hour) ? DEFAULT_DIGEST_HOUR : hour, 0, 0, 0);
+  return digestTime;
+};
+
+// Send each user one digest per day of their unread, not yet emailed
+// notice and comment notifications
+const sendDailyDigests = async () => {
+  const now = new Date();
+  const digestTime = getDigestTime(now);
+
+  if (now < digestTime) return 0;
+
+  const pendingByUser = await Notification.aggregate([
+    { $match: { isRead: false, emailedAt: null, type: { $in: DIGEST_TYPES } } },
+    { $group: { _id: '$user' } }
+  ]);
+
+  let sentCount = 0;
+
+  for (const { _id: userId } of pendingByUser) {
+    // Users in their quiet hours get the digest on a later run
+    const preferences = await notificationPreferences.getPreferences(userId);
+    if (notificationPreferences.isQuietHours(preferences, now)) continue;
+
+    // Claim today's digest first, so a restart or a second instance can't
+    // send it twice
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        isActive: true,
+        'emailSettings.digest': { $ne: false },
+        $or: [
+          { 'emailSettings.lastDigestAt': null },
+          { 'emailSettings.lastDigestAt': { $lt: digestTime } }
+        ]
+      },
+      { $set: { 'emailSettings.lastDigestAt': now } },
+      { new: true }
+    );
+
+    if (!user) continue;
+
+    const pending = await Notification.find({
+      user: user._id,
+      isRead: false,
+      emailedAt: null,
+      type: { $in: DIGEST_TYPES }
+    })
+      .populate('relatedNotice', 'category priority')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const notifications = pending.filter(notification => notificationPreferences.wantsNotification(
+      preferences,
+      { type: notification.type, channel: 'email', notice: notification.relatedNotice }
+    ));
+
+    if (notifications.length === 0) continue;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Your daily notice board digest (${notifications.length} unread)`,
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'Here is what you missed on the notice board:',
+          '',
+          ...notifications.map(formatDigestLine),
+          '',
+          `Open the notice board: ${getFrontendUrl()}`,
+          ...buildFooter(user._id, 'digest')
+        ].join('\n')
+      });
+
+      await Notification.updateMany(
+        { _id: { $in: notifications.map(n => n._id) } },
+        { $set: { emailedAt: new Date() } }
+      );
+      sentCount++;
+    } catch (error) {
+      console.error(`Failed to send digest to ${user.email}:`, error);
+    }
+  }
+
+  return sentCount;
+};
+
+module.exports = {
+  sendHighPriorityNoticeEmails,
+  sendDailyDigests,
+  verifyUnsubscribeToken
+};
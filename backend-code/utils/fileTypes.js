@@ -0,0 +1,46 @@
+// utils/fileTypes.js
+// What we know about the attachment types we accept: the extension stored
+// files get and the leading bytes ("magic numbers") their content must have.
+// The MIME type a client sends is only a claim, so uploads are checked here.
+
+const startsWith = (...signatures) => (buffer) => signatures.some(signature => {
+  const bytes = Buffer.isBuffer(signature) ? signature : Buffer.from(signature, 'latin1');
+  return buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(bytes);
+});
+
+// Old Office formats are OLE compound files; the new ones are zip archives
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Plain text has no signature; reject anything with NUL bytes up front
+const looksLikeText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+
+const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', matches: startsWith('%PDF-') },
+  'image/jpeg': { extension: '.jpg', matches: startsWith(Buffer.from([0xff, 0xd8, 0xff])) },
+  'image/png': { extension: '.png', matches: startsWith(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/gif': { extension: '.gif', matches: startsWith('GIF87a', 'GIF89a') },
+  'text/plain': { extension: '.txt', matches: looksLikeText },
+  'application/msword': { extension: '.doc', matches: startsWith(OLE_SIGNATURE) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extension: '.docx', matches: startsWith(ZIP_SIGNATURE) },
+  'application/vnd.ms-excel': { extension: '.xls', matches: startsWith(OLE_SIGNATURE) },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extension: '.xlsx', matches: startsWith(ZIP_SIGNATURE) },
+  'application/vnd.ms-powerpoint': { extension: '.ppt', matches: startsWith(OLE_SIGNATURE) },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { extension: '.pptx', matches: startsWith(ZIP_SIGNATURE) }
+};
+
+// Whether `buffer` really is a `mimetype` file. Types added through
+// ATTACHMENT_ALLOWED_TYPES that aren't listed here can't be checked.
+const contentMatchesType = (mimetype, buffer) => {
+  const type = FILE_TYPES[mimetype];
+  return type ? type.matches(buffer) : true;
+};
+
+// Extension for stored files of `mimetype` ('' for unlisted types)
+const getExtension = (mimetype) => (FILE_TYPES[mimetype] ? FILE_TYPES[mimetype].extension : '');
+
+module.exports = {
+  FILE_TYPES,
+  contentMatchesType,
+  getExtension
+};
@@ -0,0 +1,94 @@
+// utils/groupMembership.js
+// Resolve group membership in both directions: the groups a user belongs to
+// (for visibility checks) and the users in a set of groups (for fan-out).
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const { buildAudienceUserQuery } = require('./noticeAccess');
+
+// A dynamic rule on `field` matches when the list is empty or holds the value.
+// Users without the attribute (e.g. faculty and `year`) only match empty lists.
+const ruleMatches = (field, value) => {
+  const isEmpty = { [`${field}.0`]: { $exists: false } };
+
+  if (!value) {
+    return isEmpty;
+  }
+
+  return {
+    $or: [
+      isEmpty,
+      { [field]: value }
+    ]
+  };
+};
+
+// Ids of every group the user belongs to
+const getUserGroupIds = async (user) => {
+  const groups = await Group.find({
+    $or: [
+      { type: 'static', members: user._id },
+      {
+        type: 'dynamic',
+        $and: [
+          ruleMatches('rules.roles', user.role),
+          ruleMatches('rules.departments', user.department),
+          ruleMatches('rules.years', user.year)
+        ]
+      }
+    ]
+  }).select('_id');
+
+  return groups.map(group => group._id);
+};
+
+// User query matching the members of one group
+const buildGroupMemberQuery = (group) => {
+  if (group.type === 'static') {
+    return { _id: { $in: group.members } };
+  }
+
+  const { roles = [], departments = [], years = [] } = group.rules || {};
+  const query = {};
+
+  if (roles.length > 0) query.role = { $in: roles };
+  if (departments.length > 0) query.department = { $in: departments };
+  if (years.length > 0) query.year = { $in: years };
+
+  return query;
+};
+
+// User query matching everyone a notice is meant for, including its group
+// restriction. Async because group rules have to be loaded.
+const buildRecipientQuery = async (notice) => {
+  const query = buildAudienceUserQuery(notice);
+  const groupIds = (notice.audience && notice.audience.groups) || [];
+
+  if (groupIds.length === 0) {
+    return query;
+  }
+
+  const groups = await Group.find({ _id: { $in: groupIds } });
+
+  // A notice whose groups were all deleted reaches nobody rather than everybody
+  const memberQueries = groups.length > 0
+    ? groups.map(buildGroupMemberQuery)
+    : [{ _id: { $in: [] } }];
+
+  return { ...query, $and: [{ $or: memberQueries }] };
+};
+
+// Ids from `groupIds` that are malformed or don't exist
+const findUnknownGroupIds = async (groupIds) => {
+  const valid = groupIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const found = await Group.find({ _id: { $in: valid } }).select('_id');
+  const foundIds = found.map(group => group._id.toString());
+
+  return groupIds.filter(id => !foundIds.includes(id.toString()));
+};
+
+module.exports = {
+  getUserGroupIds,
+  buildGroupMemberQuery,
+  buildRecipientQuery,
+  findUnknownGroupIds
+};
@@ -0,0 +1,109 @@
+// utils/icalendar.js
+// Minimal iCalendar (RFC 5545) writer: text escaping, line folding and
+// VEVENTs with recurrence, enough for a subscribable read-only calendar.
+
+const PRODUCT_ID = '-//SCNBCP//Notice Board//EN';
+
+// Escape a TEXT value (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20261103T093000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261103 (the UTC calendar date, which is how all-day dates are stored)
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+// RRULE value, e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=6
+const buildRecurrenceRule = ({ frequency, interval, count, until }, allDay) => {
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+
+  if (interval && interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${allDay ? formatDate(until) : formatDateTime(until)}`);
+
+  return parts.join(';');
+};
+
+// Lines for one VEVENT. All-day events end on the day after their last day
+// (DTEND is exclusive); timed events without an end get no DTEND.
+const buildEventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(event.updatedAt)}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.startAt)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(event.endAt || event.startAt, 1))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.startAt)}`);
+    if (event.endAt) lines.push(`DTEND:${formatDateTime(event.endAt)}`);
+  }
+
+  if (event.recurrence) lines.push(`RRULE:${buildRecurrenceRule(event.recurrence, event.allDay)}`);
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// A VCALENDAR document with CRLF line endings
+const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEventLines),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,16 @@
+// utils/mail/consoleTransport.js
+// Development transport: prints outgoing mail to the server log
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  send: async (message) => {
+    console.log('📧 Mail (console transport)');
+    console.log(`  From: ${message.from}`);
+    console.log(`  To: ${message.to}`);
+    console.log(`  Subject: ${message.subject}`);
+    console.log(message.text);
+    return { accepted: [message.to] };
+  }
+});
+
+module.exports = createConsoleTransport;
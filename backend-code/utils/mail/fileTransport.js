@@ -0,0 +1,26 @@
+// utils/mail/fileTransport.js
+// Development transport: writes each outgoing mail as a JSON file to MAIL_DIR
+const fs = require('fs');
+const path = require('path');
+
+const createFileTransport = (options = {}) => {
+  const dir = path.resolve(options.dir || process.env.MAIL_DIR || 'mail-outbox');
+
+  return {
+    name: 'file',
+
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { accepted: [message.to], file: fileName };
+    }
+  };
+};
+
+module.exports = createFileTransport;
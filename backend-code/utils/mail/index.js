@@ -0,0 +1,58 @@
+// utils/mail/index.js
+// Mail transport interface. A transport exposes
+//   send({ to, subject, text, html }) => Promise
+// and is selected with MAIL_TRANSPORT ('smtp' in production, 'console'
+// otherwise). 'console' and 'file' are development stand-ins and 'memory'
+// captures mail for tests; none of them deliver real mail.
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const createSmtpTransport = require('./smtpTransport');
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const transportName = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transports[transportName];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Mainly for tests or custom setups that build their own transport
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'SCNBCP <no-reply@scnbcp.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
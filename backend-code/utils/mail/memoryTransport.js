@@ -0,0 +1,21 @@
+// utils/mail/memoryTransport.js
+// Test transport: keeps outgoing mail in memory so it can be inspected
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+      return { accepted: [message.to] };
+    },
+
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
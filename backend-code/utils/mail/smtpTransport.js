@@ -0,0 +1,22 @@
+// utils/mail/smtpTransport.js
+// Production transport: delivers mail through an SMTP server
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+module.exports = createSmtpTransport;
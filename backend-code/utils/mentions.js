@@ -0,0 +1,157 @@
+// utils/mentions.js
+// @mentions in comments. Two forms are recognised:
+//   @CSE2021001      a student id, or a single-word name
+//   @"Rahul Sharma"  a full name
+// Matching is case-insensitive and only users who can read the notice can be
+// mentioned. A name shared by several readers is ambiguous and ignored.
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const socketService = require('./socketService');
+const notificationPreferences = require('./notificationPreferences');
+const { canViewNotice } = require('./noticeAccess');
+const { getUserGroupIds } = require('./groupMembership');
+const { escapeRegex } = require('./regex');
+
+const MAX_MENTIONS = 10;
+const MAX_SUGGESTIONS = 10;
+
+const MENTION_PATTERN = /(^|[^\w@])@(?:"([^"\n]{1,100})"|([\w.-]{1,50}))/g;
+
+const exactMatch = (text) => new RegExp(`^${escapeRegex(text)}$`, 'i');
+
+// Handles mentioned in a piece of text, without the @ and de-duplicated
+const extractHandles = (content) => {
+  const handles = new Map();
+
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    // A bare handle doesn't take trailing punctuation ("thanks @CSE001.")
+    const handle = match[2] ? match[2].trim() : match[3].replace(/[.-]+$/, '');
+    if (handle && !handles.has(handle.toLowerCase())) {
+      handles.set(handle.toLowerCase(), handle);
+    }
+  }
+
+  return [...handles.values()].slice(0, MAX_MENTIONS);
+};
+
+// What autocomplete should insert to mention a user
+const toMentionHandle = (user) => {
+  return user.studentId ? `@${user.studentId}` : `@"${user.name}"`;
+};
+
+// Keep only the users who can read the notice
+const filterReaders = async (users, notice) => {
+  const readers = [];
+
+  for (const user of users) {
+    user.groupIds = await getUserGroupIds(user);
+    if (canViewNotice(user, notice)) {
+      readers.push(user);
+    }
+  }
+
+  return readers;
+};
+
+// Resolve the mentions in `content` to users who can read `notice`.
+// Returns [{ user, handle }] with one entry per user, never the author.
+const resolveMentions = async (content, notice, author) => {
+  const handles = extractHandles(content);
+
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({
+    isActive: true,
+    _id: { $ne: author._id },
+    $or: [
+      { studentId: { $in: handles.map(exactMatch) } },
+      { name: { $in: handles.map(exactMatch) } }
+    ]
+  }).select('name role department year studentId');
+
+  const readers = await filterReaders(candidates, notice);
+
+  const mentions = new Map();
+
+  for (const handle of handles) {
+    const lower = handle.toLowerCase();
+    const byStudentId = readers.filter(user => user.studentId && user.studentId.toLowerCase() === lower);
+    const byName = readers.filter(user => user.name.toLowerCase() === lower);
+    const matches = byStudentId.length > 0 ? byStudentId : byName;
+
+    if (matches.length === 1 && !mentions.has(matches[0]._id.toString())) {
+      mentions.set(matches[0]._id.toString(), { user: matches[0]._id, handle });
+    }
+  }
+
+  return [...mentions.values()];
+};
+
+// Autocomplete: readers of the notice whose name or student id starts with `prefix`
+const suggestMentions = async (prefix, notice, requester) => {
+  const startsWith = new RegExp(`^${escapeRegex(prefix)}`, 'i');
+  const wordStartsWith = new RegExp(`\\s${escapeRegex(prefix)}`, 'i');
+
+  // Over-fetch a little since some candidates can't read the notice
+  const candidates = await User.find({
+    isActive: true,
+    _id: { $ne: requester._id },
+    $or: [
+      { name: startsWith },
+      { name: wordStartsWith },
+      { studentId: startsWith }
+    ]
+  })
+    .select('name role department year studentId')
+    .sort({ name: 1 })
+    .limit(MAX_SUGGESTIONS * 5);
+
+  const readers = await filterReaders(candidates, notice);
+
+  return readers.slice(0, MAX_SUGGESTIONS).map(user => ({
+    _id: user._id,
+    name: user.name,
+    role: user.role,
+    department: user.department,
+    studentId: user.studentId,
+    mention: toMentionHandle(user)
+  }));
+};
+
+// Create `mention` notifications and push them to each user's room,
+// respecting their notification preferences
+const notifyMentions = async (mentions, { comment, notice, author }) => {
+  for (const mention of mentions) {
+    try {
+      const delivery = await notificationPreferences.resolveDelivery(mention.user, { type: 'mention' });
+
+      if (!delivery.inApp) {
+        continue;
+      }
+
+      const notification = await Notification.create({
+        user: mention.user,
+        type: 'mention',
+        message: `${author.name} mentioned you in a comment on: ${notice.title}`,
+        relatedNotice: notice._id,
+        relatedComment: comment._id
+      });
+
+      if (delivery.realtime) {
+        socketService.notifyUser(mention.user, notification);
+      }
+    } catch (error) {
+      console.error(`Failed to notify mention of user ${mention.user}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  extractHandles,
+  toMentionHandle,
+  resolveMentions,
+  suggestMentions,
+  notifyMentions
+};
@@ -0,0 +1,236 @@
+// utils/noticeAccess.js
+// Who may read a notice. Kept in one place so routes, downloads, dashboard
+// queries, fan-out and real-time events all apply the same rules.
+//
+// A notice's audience has four dimensions (departments, years, roles,
+// groups). An empty list means "no restriction"; years only restrict students.
+// Group checks need the user's group ids on `user.groupIds` (set by the auth
+// middleware); without them, group-targeted notices are treated as hidden.
+
+const mongoose = require('mongoose');
+
+const AUDIENCE_ROLES = ['faculty', 'student'];
+
+const isSameId = (a, b) => {
+  if (!a || !b) return false;
+  return (a._id || a).toString() === (b._id || b).toString();
+};
+
+const getAudience = (notice) => ({
+  departments: (notice.audience && notice.audience.departments) || [],
+  years: (notice.audience && notice.audience.years) || [],
+  roles: (notice.audience && notice.audience.roles) || [],
+  groups: (notice.audience && notice.audience.groups) || []
+});
+
+const getGroupIds = (user) => (user.groupIds || []).map(id => id.toString());
+
+// Check whether a user falls inside a notice's audience (ignores status)
+const isInAudience = (user, notice) => {
+  const { departments, years, roles, groups } = getAudience(notice);
+
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    return false;
+  }
+
+  if (departments.length > 0 && !departments.includes(user.department)) {
+    return false;
+  }
+
+  if (user.role === 'student' && years.length > 0 && !years.includes(user.year)) {
+    return false;
+  }
+
+  if (groups.length > 0 && !groups.some(id => getGroupIds(user).includes(id.toString()))) {
+    return false;
+  }
+
+  return true;
+};
+
+// Check whether a user may read a single notice
+const canViewNotice = (user, notice) => {
+  if (!user || !notice) return false;
+
+  if (user.role === 'admin' || isSameId(notice.author, user._id)) {
+    return true;
+  }
+
+  // Drafts and scheduled notices are only visible to their author and admins
+  if (notice.status !== 'published') {
+    return false;
+  }
+
+  return isInAudience(user, notice);
+};
+
+// Anonymous readers only get published notices marked public
+const isPublicNotice = (notice) => Boolean(notice && notice.status === 'published' && notice.isPublic);
+
+// Match notices whose `field` list is empty (or missing) or contains `value`
+const emptyOrIncludes = (field, value) => ({
+  $or: [
+    { [`${field}.0`]: { $exists: false } },
+    { [field]: value }
+  ]
+});
+
+// Mongo filter matching notices whose audience includes the user
+// (the query counterpart of isInAudience). Returns {} for admins.
+const buildAudienceFilter = (user) => {
+  if (!user || user.role === 'admin') {
+    return {};
+  }
+
+  const conditions = [
+    emptyOrIncludes('audience.roles', user.role),
+    emptyOrIncludes('audience.departments', user.department),
+    emptyOrIncludes('audience.groups', { $in: user.groupIds || [] })
+  ];
+
+  if (user.role === 'student') {
+    conditions.push(emptyOrIncludes('audience.years', user.year));
+  }
+
+  return { $and: conditions };
+};
+
+// Mongo filter matching the notices a user may read (the query counterpart
+// of canViewNotice). Returns {} for admins.
+const buildVisibilityFilter = (user) => {
+  if (!user || user.role === 'admin') {
+    return {};
+  }
+
+  return {
+    $or: [
+      { author: user._id },
+      { $and: [{ status: 'published' }, buildAudienceFilter(user)] }
+    ]
+  };
+};
+
+// Filter for an explicit ?department= query parameter
+const buildDepartmentFilter = (department) => emptyOrIncludes('audience.departments', department);
+
+// User query matching everyone in a notice's audience, for notification fan-out.
+// Doesn't cover groups; use groupMembership.buildRecipientQuery for that.
+const buildAudienceUserQuery = (notice) => {
+  const { departments, years, roles } = getAudience(notice);
+  const query = {
+    isActive: true,
+    role: { $in: roles.length > 0 ? roles : AUDIENCE_ROLES }
+  };
+
+  if (departments.length > 0) {
+    query.department = { $in: departments };
+  }
+
+  if (years.length > 0) {
+    query.$or = [
+      { role: { $ne: 'student' } },
+      { year: { $in: years } }
+    ];
+  }
+
+  return query;
+};
+
+// Parse and validate the `audience` object of a request body.
+// Returns { audience }, { error }, or {} when no audience was sent.
+const parseAudienceInput = (body) => {
+  if (!body.audience) {
+    return {};
+  }
+
+  const audience = {};
+
+  for (const key of ['departments', 'years', 'roles', 'groups']) {
+    const value = body.audience[key] || [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+      return { error: `audience.${key} must be an array of strings` };
+    }
+    audience[key] = [...new Set(value.map(item => item.trim()))];
+  }
+
+  if (!audience.roles.every(role => AUDIENCE_ROLES.includes(role))) {
+    return { error: `audience.roles may only contain ${AUDIENCE_ROLES.join(', ')}` };
+  }
+
+  if (!audience.groups.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'audience.groups must contain group ids' };
+  }
+
+  return { audience };
+};
+
+// Socket.io rooms a user is placed in when they connect
+const getUserRooms = (user) => {
+  const rooms = [`user-${user._id}`, `role-${user.role}`];
+
+  if (user.department) {
+    rooms.push(`dept-${user.department}`, `dept-${user.department}-role-${user.role}`);
+  }
+
+  if (user.role === 'student' && user.year) {
+    rooms.push(`year-${user.year}`);
+    if (user.department) {
+      rooms.push(`dept-${user.department}-year-${user.year}`);
+    }
+  }
+
+  return rooms;
+};
+
+// Socket.io rooms covering exactly the users allowed to read a notice
+// (same rules as canViewNotice). Group membership has no rooms, so for
+// group-targeted notices this only covers admins and the author and the
+// caller adds the members' own rooms.
+const getNoticeRooms = (notice) => {
+  const authorId = notice.author && (notice.author._id || notice.author);
+  const rooms = ['role-admin'];
+
+  if (authorId) {
+    rooms.push(`user-${authorId}`);
+  }
+
+  if (notice.status !== 'published') {
+    return rooms;
+  }
+
+  const { departments, years, roles, groups } = getAudience(notice);
+
+  if (groups.length > 0) {
+    return rooms;
+  }
+
+  (roles.length > 0 ? roles : AUDIENCE_ROLES).forEach(role => {
+    // Year rooms only ever contain students
+    const suffixes = role === 'student' && years.length > 0
+      ? years.map(year => `year-${year}`)
+      : [`role-${role}`];
+
+    if (departments.length === 0) {
+      rooms.push(...suffixes);
+    } else {
+      departments.forEach(department => {
+        suffixes.forEach(suffix => rooms.push(`dept-${department}-${suffix}`));
+      });
+    }
+  });
+
+  return [...new Set(rooms)];
+};
+
+module.exports = {
+  canViewNotice,
+  isPublicNotice,
+  isInAudience,
+  buildAudienceFilter,
+  buildVisibilityFilter,
+  buildDepartmentFilter,
+  buildAudienceUserQuery,
+  parseAudienceInput,
+  getUserRooms,
+  getNoticeRooms
+};
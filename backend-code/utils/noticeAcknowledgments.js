@@ -0,0 +1,285 @@
+// utils/noticeAcknowledgments.js
+// Notices that require acknowledgment by a due date: who still has to
+// acknowledge, periodic reminders to them, and a single escalation to the
+// author once the deadline has passed.
+const Notice = require('../models/Notice');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const notificationPreferences = require('./notificationPreferences');
+const { buildAudienceFilter } = require('./noticeAccess');
+const { buildRecipientQuery } = require('./groupMembership');
+const noticeInteractions = require('./noticeInteractions');
+
+const DEFAULT_REMINDER_HOURS = 24;
+
+const getReminderIntervalMs = () => {
+  const hours = parseFloat(process.env.ACKNOWLEDGMENT_REMINDER_HOURS);
+  return (isNaN(hours) || hours <= 0 ? DEFAULT_REMINDER_HOURS : hours) * 60 * 60 * 1000;
+};
+
+// Parse and validate the `acknowledgment` object of a request body. The due
+// date must be in the future, unless it is the notice's current one
+// (`currentDueDate`) sent back unchanged.
+// Returns { acknowledgment }, { error }, or {} when none was sent.
+const parseAcknowledgmentInput = (body, currentDueDate = null) => {
+  if (body.acknowledgment === undefined) {
+    return {};
+  }
+
+  const { required, dueDate } = body.acknowledgment || {};
+
+  if (typeof required !== 'boolean') {
+    return { error: 'acknowledgment.required must be true or false' };
+  }
+
+  if (!required) {
+    return { acknowledgment: { required: false, dueDate: null } };
+  }
+
+  const due = dueDate ? new Date(dueDate) : null;
+  if (!due || isNaN(due.getTime())) {
+    return { error: 'acknowledgment.dueDate is required when acknowledgment is required' };
+  }
+
+  const isUnchanged = currentDueDate && new Date(currentDueDate).getTime() === due.getTime();
+  if (due <= new Date() && !isUnchanged) {
+    return { error: 'acknowledgment.dueDate must be in the future' };
+  }
+
+  return { acknowledgment: { required: true, dueDate: due } };
+};
+
+// Apply a parsed acknowledgment setting. A new due date gets its own
+// reminders and escalation.
+const applyAcknowledgment = (notice, { required, dueDate }) => {
+  const dueChanged = String(notice.acknowledgment.dueDate) !== String(dueDate);
+
+  notice.acknowledgment.required = required;
+  notice.acknowledgment.dueDate = dueDate;
+
+  if (dueChanged) {
+    notice.acknowledgment.lastReminderAt = null;
+    notice.acknowledgment.escalatedAt = null;
+  }
+};
+
+// User query matching everyone the notice targets who hasn't acknowledged it
+const buildPendingUserQuery = async (notice) => {
+  const authorId = notice.author && (notice.author._id || notice.author);
+
+  return {
+    ...(await buildRecipientQuery(notice)),
+    _id: { $nin: [authorId, ...(await noticeInteractions.getAcknowledgedUserIds(notice._id))] }
+  };
+};
+
+// Sort everyone the notice targets into acknowledged, viewed but not
+// acknowledged, and not viewed, with totals per department and year
+const buildComplianceReport = async (notice) => {
+  const authorId = notice.author && (notice.author._id || notice.author);
+
+  const audience = await User.find({
+    ...(await buildRecipientQuery(notice)),
+    _id: { $ne: authorId }
+  })
+    .select('name email role department year studentId employeeId')
+    .sort({ department: 1, year: 1, name: 1 })
+    .lean();
+
+  const [acknowledgedAt, viewedAt] = await Promise.all([
+    noticeInteractions.getFirstInteractionTimes(notice._id, 'acknowledgment'),
+    noticeInteractions.getFirstInteractionTimes(notice._id, 'view')
+  ]);
+
+  const report = { acknowledged: [], viewedNotAcknowledged: [], notViewed: [] };
+  const breakdown = new Map();
+
+  for (const user of audience) {
+    const id = user._id.toString();
+    const status = acknowledgedAt.has(id) ? 'acknowledged' : viewedAt.has(id) ? 'viewed' : 'not_viewed';
+    const entry = {
+      ...user,
+      status,
+      viewedAt: viewedAt.get(id) || null,
+      acknowledgedAt: acknowledgedAt.get(id) || null
+    };
+
+    if (status === 'acknowledged') report.acknowledged.push(entry);
+    else if (status === 'viewed') report.viewedNotAcknowledged.push(entry);
+    else report.notViewed.push(entry);
+
+    const key = `${user.department || ''}|${user.year || ''}`;
+    if (!breakdown.has(key)) {
+      breakdown.set(key, {
+        department: user.department || null,
+        year: user.year || null,
+        total: 0,
+        acknowledged: 0,
+        viewedNotAcknowledged: 0,
+        notViewed: 0
+      });
+    }
+
+    const group = breakdown.get(key);
+    group.total++;
+    if (status === 'acknowledged') group.acknowledged++;
+    else if (status === 'viewed') group.viewedNotAcknowledged++;
+    else group.notViewed++;
+  }
+
+  return {
+    summary: {
+      total: audience.length,
+      acknowledged: report.acknowledged.length,
+      viewedNotAcknowledged: report.viewedNotAcknowledged.length,
+      notViewed: report.notViewed.length,
+      acknowledgmentRate: audience.length > 0
+        ? Number((report.acknowledged.length / audience.length * 100).toFixed(2))
+        : 0
+    },
+    breakdown: [...breakdown.values()],
+    ...report
+  };
+};
+
+// Notice filter for the live notices `user` still has to acknowledge.
+// Admins are never part of an audience, so nothing is pending for them.
+const buildPendingNoticeFilter = async (user) => {
+  if (user.role === 'admin') {
+    return { _id: { $in: [] } };
+  }
+
+  return {
+    ...buildAudienceFilter(user),
+    'acknowledgment.required': true,
+    status: 'published',
+    isArchived: false,
+    author: { $ne: user._id },
+    _id: { $nin: await noticeInteractions.getAcknowledgedNoticeIds(user._id) }
+  };
+};
+
+// Remind users who haven't acknowledged, at most once per reminder interval
+// and only until the due date. The first reminder comes one interval after
+// publishing, since the new_notice notification already went out.
+const sendAcknowledgmentReminders = async () => {
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() - getReminderIntervalMs());
+  let remindedCount = 0;
+
+  const notices = await Notice.find({
+    'acknowledgment.required': true,
+    'acknowledgment.dueDate': { $gt: now },
+    status: 'published',
+    isArchived: false,
+    $and: [
+      // Notices from before publishedAt was recorded go by createdAt
+      {
+        $or: [
+          { publishedAt: { $lte: remindBefore } },
+          { publishedAt: null, createdAt: { $lte: remindBefore } }
+        ]
+      },
+      {
+        $or: [
+          { 'acknowledgment.lastReminderAt': null },
+          { 'acknowledgment.lastReminderAt': { $lte: remindBefore } }
+        ]
+      }
+    ]
+  });
+
+  for (const notice of notices) {
+    // Claim the round first so a restart or a second instance can't repeat it
+    const claimed = await Notice.updateOne(
+      { _id: notice._id, 'acknowledgment.lastReminderAt': notice.acknowledgment.lastReminderAt },
+      { $set: { 'acknowledgment.lastReminderAt': now } }
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+
+    const pendingUsers = await User.find(await buildPendingUserQuery(notice)).select('_id');
+
+    // Respect each user's acknowledgment settings; quiet hours only hold back
+    // the real-time push
+    const preferences = await notificationPreferences.getPreferencesForUsers(pendingUsers.map(user => user._id));
+    const recipients = pendingUsers.filter(user => notificationPreferences.wantsNotification(
+      preferences.get(user._id.toString()),
+      { type: 'acknowledgment', channel: 'inApp' }
+    ));
+
+    if (recipients.length === 0) continue;
+
+    const notifications = await Notification.insertMany(recipients.map(user => ({
+      user: user._id,
+      type: 'acknowledgment',
+      message: `Reminder: please acknowledge "${notice.title}" by ${notice.acknowledgment.dueDate.toLocaleString()}`,
+      relatedNotice: notice._id
+    })));
+
+    notifications
+      .filter(notification => !notificationPreferences.isQuietHours(preferences.get(notification.user.toString())))
+      .forEach(notification => socketService.notifyUser(notification.user, notification));
+
+    remindedCount += notifications.length;
+  }
+
+  return remindedCount;
+};
+
+// Tell the author once when the deadline passes with acknowledgments missing
+const escalateOverdueAcknowledgments = async () => {
+  const now = new Date();
+  let escalatedCount = 0;
+
+  const overdue = await Notice.find({
+    'acknowledgment.required': true,
+    'acknowledgment.dueDate': { $ne: null, $lte: now },
+    'acknowledgment.escalatedAt': null,
+    status: 'published',
+    isArchived: false
+  });
+
+  for (const notice of overdue) {
+    const claimed = await Notice.updateOne(
+      { _id: notice._id, 'acknowledgment.escalatedAt': null },
+      { $set: { 'acknowledgment.escalatedAt': now } }
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+
+    const pendingCount = await User.countDocuments(await buildPendingUserQuery(notice));
+
+    if (pendingCount === 0) continue;
+
+    const delivery = await notificationPreferences.resolveDelivery(notice.author, { type: 'acknowledgment' });
+
+    if (!delivery.inApp) continue;
+
+    const notification = await Notification.create({
+      user: notice.author,
+      type: 'acknowledgment',
+      message: `${pendingCount} user(s) did not acknowledge "${notice.title}" by its deadline`,
+      relatedNotice: notice._id
+    });
+
+    if (delivery.realtime) {
+      socketService.notifyUser(notice.author, notification);
+    }
+
+    escalatedCount++;
+  }
+
+  return escalatedCount;
+};
+
+module.exports = {
+  parseAcknowledgmentInput,
+  applyAcknowledgment,
+  buildPendingUserQuery,
+  buildPendingNoticeFilter,
+  buildComplianceReport,
+  sendAcknowledgmentReminders,
+  escalateOverdueAcknowledgments
+};
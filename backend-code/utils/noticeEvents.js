@@ -0,0 +1,273 @@
+// utils/noticeEvents.js
+// Structured event details on events/exams notices and the per-user
+// iCalendar feed built from them. Feed links work without logging in (calendar
+// apps can't send a bearer token), so they carry a signed token that can only
+// read the feed and is revoked by bumping user.calendarFeedVersion.
+const jwt = require('jsonwebtoken');
+const Notice = require('../models/Notice');
+const User = require('../models/User');
+const { buildVisibilityFilter } = require('./noticeAccess');
+const { getUserGroupIds } = require('./groupMembership');
+const { buildCalendar } = require('./icalendar');
+
+const EVENT_CATEGORIES = ['events', 'exams'];
+const EVENT_STATUSES = ['confirmed', 'cancelled'];
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const MAX_RECURRENCE_INTERVAL = 99;
+const MAX_RECURRENCE_COUNT = 366;
+const MAX_VENUE_LENGTH = 200;
+
+// Past events stay in the feed this long (recurring ones always do)
+const FEED_HISTORY_DAYS = 180;
+const MAX_FEED_EVENTS = 500;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const getApiUrl = () => process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+};
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Parse `event.recurrence`. Returns { recurrence } (null for none) or { error }.
+const parseRecurrence = (value, startAt) => {
+  if (value === undefined || value === null) {
+    return { recurrence: null };
+  }
+
+  const { frequency, interval = 1, count = null, until = null } = value;
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `event.recurrence.frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  if (!isIntegerBetween(interval, 1, MAX_RECURRENCE_INTERVAL)) {
+    return { error: `event.recurrence.interval must be 1 to ${MAX_RECURRENCE_INTERVAL}` };
+  }
+
+  if (count !== null && !isIntegerBetween(count, 1, MAX_RECURRENCE_COUNT)) {
+    return { error: `event.recurrence.count must be 1 to ${MAX_RECURRENCE_COUNT}` };
+  }
+
+  if (count !== null && until !== null) {
+    return { error: 'Give event.recurrence.count or event.recurrence.until, not both' };
+  }
+
+  const untilDate = until === null ? null : toDate(until);
+  if (until !== null && (!untilDate || untilDate < startAt)) {
+    return { error: 'event.recurrence.until must be a date on or after event.startAt' };
+  }
+
+  return { recurrence: { frequency, interval, count, until: untilDate } };
+};
+
+// Parse the `event` object of a request body for a notice in `category`.
+// The whole object is replaced on every update. Returns { event },
+// { event: null } to remove the details, { error }, or {} when none was sent.
+const parseEventInput = (body, category) => {
+  if (body.event === undefined) {
+    return {};
+  }
+
+  if (body.event === null) {
+    return { event: null };
+  }
+
+  if (typeof body.event !== 'object' || Array.isArray(body.event)) {
+    return { error: 'event must be an object' };
+  }
+
+  if (!EVENT_CATEGORIES.includes(category)) {
+    return { error: `Only ${EVENT_CATEGORIES.join(' and ')} notices can have event details` };
+  }
+
+  const { startAt, endAt = null, allDay = false, venue = null, recurrence, status = 'confirmed' } = body.event;
+
+  const startDate = toDate(startAt);
+  if (!startDate) {
+    return { error: 'event.startAt must be a valid date' };
+  }
+
+  const endDate = endAt === null ? null : toDate(endAt);
+  if (endAt !== null && (!endDate || endDate < startDate)) {
+    return { error: 'event.endAt must be a date on or after event.startAt' };
+  }
+
+  if (venue !== null && (typeof venue !== 'string' || venue.trim().length > MAX_VENUE_LENGTH)) {
+    return { error: `event.venue must be text of at most ${MAX_VENUE_LENGTH} characters` };
+  }
+
+  if (!EVENT_STATUSES.includes(status)) {
+    return { error: `event.status must be one of ${EVENT_STATUSES.join(', ')}` };
+  }
+
+  const parsed = parseRecurrence(recurrence, startDate);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  return {
+    event: {
+      startAt: startDate,
+      endAt: endDate,
+      allDay: Boolean(allDay),
+      venue: venue ? venue.trim() : null,
+      recurrence: parsed.recurrence,
+      status
+    }
+  };
+};
+
+// Write parsed event details onto a notice (not saved), or clear them with
+// null. Fields are set one by one so only real changes bump the sequence.
+const applyEvent = (notice, event) => {
+  const recurrence = (event && event.recurrence) || {};
+
+  notice.set('event.startAt', event ? event.startAt : null);
+  notice.set('event.endAt', event ? event.endAt || null : null);
+  notice.set('event.allDay', event ? Boolean(event.allDay) : false);
+  notice.set('event.venue', event ? event.venue || null : null);
+  notice.set('event.recurrence.frequency', recurrence.frequency || null);
+  notice.set('event.recurrence.interval', recurrence.interval || 1);
+  notice.set('event.recurrence.count', recurrence.count || null);
+  notice.set('event.recurrence.until', recurrence.until || null);
+  notice.set('event.status', event ? event.status || 'confirmed' : 'confirmed');
+};
+
+// The event fields kept in revision snapshots (null when there are none)
+const toEventSnapshot = (notice) => {
+  const event = notice.event;
+
+  if (!event || !event.startAt) {
+    return null;
+  }
+
+  return {
+    startAt: event.startAt,
+    endAt: event.endAt,
+    allDay: event.allDay,
+    venue: event.venue,
+    recurrence: event.recurrence && event.recurrence.frequency
+      ? {
+        frequency: event.recurrence.frequency,
+        interval: event.recurrence.interval,
+        count: event.recurrence.count,
+        until: event.recurrence.until
+      }
+      : null,
+    status: event.status
+  };
+};
+
+// Feed links
+const createFeedToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, type: 'calendar-feed', feedVersion: user.calendarFeedVersion || 0 },
+    getJwtSecret()
+  );
+};
+
+const buildFeedUrls = (user) => {
+  const url = `${getApiUrl()}/api/calendar/notices.ics?token=${createFeedToken(user)}`;
+
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// Load the active user a feed token belongs to. Throws if the token is
+// invalid or was revoked; returns null if the account is gone or inactive.
+const verifyFeedToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.type !== 'calendar-feed') {
+    throw new Error('Invalid calendar feed token');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive || user.status !== 'active') {
+    return null;
+  }
+
+  if ((decoded.feedVersion || 0) !== (user.calendarFeedVersion || 0)) {
+    throw new Error('Calendar feed token has been revoked');
+  }
+
+  user.groupIds = await getUserGroupIds(user);
+  return user;
+};
+
+// Published event notices the user can read: upcoming and recent ones, and
+// every recurring one
+const findFeedNotices = (user) => {
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const conditions = [
+    { status: 'published' },
+    { 'event.startAt': { $ne: null } },
+    {
+      $or: [
+        { 'event.startAt': { $gte: since } },
+        { 'event.endAt': { $gte: since } },
+        { 'event.recurrence.frequency': { $ne: null } }
+      ]
+    }
+  ];
+
+  const visibility = buildVisibilityFilter(user);
+  if (Object.keys(visibility).length > 0) {
+    conditions.push(visibility);
+  }
+
+  return Notice.find({ $and: conditions })
+    .select('title content category department event updatedAt')
+    .sort({ 'event.startAt': 1 })
+    .limit(MAX_FEED_EVENTS)
+    .lean();
+};
+
+// The notice's UID never changes, so clients update the same event
+const toCalendarEvent = (notice) => {
+  const { event } = notice;
+  const cancelled = event.status === 'cancelled';
+
+  return {
+    uid: `notice-${notice._id}@scnbcp`,
+    sequence: event.sequence,
+    updatedAt: notice.updatedAt,
+    startAt: event.startAt,
+    endAt: event.endAt,
+    allDay: event.allDay,
+    recurrence: event.recurrence && event.recurrence.frequency ? event.recurrence : null,
+    summary: cancelled ? `Cancelled: ${notice.title}` : notice.title,
+    description: notice.content,
+    location: event.venue,
+    url: `${getFrontendUrl()}/notices/${notice._id}`,
+    categories: [notice.category, notice.department],
+    cancelled
+  };
+};
+
+const buildFeedCalendar = async (user) => {
+  const notices = await findFeedNotices(user);
+
+  return buildCalendar({
+    name: 'SCNBCP Events',
+    events: notices.map(toCalendarEvent)
+  });
+};
+
+module.exports = {
+  EVENT_CATEGORIES,
+  parseEventInput,
+  applyEvent,
+  toEventSnapshot,
+  buildFeedUrls,
+  verifyFeedToken,
+  buildFeedCalendar
+};
@@ -0,0 +1,76 @@
+// utils/noticeExpiry.js
+const Notice = require('../models/Notice');
+const Notification = require('../models/Notification');
+const socketService = require('./socketService');
+
+const DEFAULT_WARNING_HOURS = 24;
+
+const getWarningWindowMs = () => {
+  const hours = parseFloat(process.env.NOTICE_EXPIRY_WARNING_HOURS);
+  return (isNaN(hours) ? DEFAULT_WARNING_HOURS : hours) * 60 * 60 * 1000;
+};
+
+// Archive every notice whose expiresAt has passed
+const archiveExpiredNotices = async () => {
+  const now = new Date();
+
+  const expired = await Notice.find({
+    isArchived: false,
+    expiresAt: { $ne: null, $lte: now }
+  }).select('_id author audience status');
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const result = await Notice.updateMany(
+    { _id: { $in: expired.map(n => n._id) }, isArchived: false },
+    { $set: { isArchived: true, archivedAt: now, archivedBy: null } }
+  );
+
+  expired.forEach(notice => socketService.notifyUpdatedNotice(notice));
+
+  return result.modifiedCount;
+};
+
+// Warn authors once that their notice is about to expire
+const sendExpiryWarnings = async () => {
+  const now = new Date();
+  const warnBefore = new Date(now.getTime() + getWarningWindowMs());
+  let warnedCount = 0;
+
+  // Drafts, pending and scheduled notices aren't live yet, so they aren't
+  // warned until they are published
+  const expiring = await Notice.find({
+    status: 'published',
+    isArchived: false,
+    expiryWarningSentAt: null,
+    expiresAt: { $gt: now, $lte: warnBefore }
+  });
+
+  for (const notice of expiring) {
+    // Claim the warning first so a restart or a second instance can't resend it
+    const claimed = await Notice.updateOne(
+      { _id: notice._id, expiryWarningSentAt: null },
+      { $set: { expiryWarningSentAt: now } }
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+
+    await Notification.create({
+      user: notice.author,
+      type: 'system',
+      message: `Your notice "${notice.title}" will expire and be archived on ${notice.expiresAt.toLocaleString()}`,
+      relatedNotice: notice._id
+    });
+
+    warnedCount++;
+  }
+
+  return warnedCount;
+};
+
+module.exports = {
+  archiveExpiredNotices,
+  sendExpiryWarnings
+};
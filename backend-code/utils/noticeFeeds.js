@@ -0,0 +1,144 @@
+// utils/noticeFeeds.js
+// RSS 2.0 and Atom documents for notice lists, plus the validators used for
+// conditional GET. Pinned and high-priority notices are flagged with a title
+// prefix and a feed category so readers can filter on them.
+const crypto = require('crypto');
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+const FEED_TITLE = 'SCNBCP Notices';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const getNoticeUrl = (notice) => `${getFrontendUrl()}/notices/${notice._id}`;
+
+// Escape text for XML, dropping control characters XML 1.0 doesn't allow
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;'
+  }[char]));
+
+const getFlags = (notice) => {
+  const flags = [];
+  if (notice.isPinned) flags.push('pinned');
+  if (notice.priority === 'high') flags.push('high-priority');
+  return flags;
+};
+
+const getEntryTitle = (notice) => {
+  const prefixes = [];
+  if (notice.isPinned) prefixes.push('[Pinned]');
+  if (notice.priority === 'high') prefixes.push('[High priority]');
+  return [...prefixes, notice.title].join(' ');
+};
+
+// Feed categories: the notice category, its department label and any flags
+const getEntryCategories = (notice) => [notice.category, notice.department, ...getFlags(notice)].filter(Boolean);
+
+const getPublishedAt = (notice) => notice.publishedAt || notice.createdAt;
+
+const getAuthorName = (notice) => (notice.author && notice.author.name) || FEED_TITLE;
+
+// Newest change across the listed notices, or null for an empty feed
+const getLastModified = (notices) => {
+  const times = notices.map(notice => new Date(notice.updatedAt || notice.createdAt).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// ETag and Last-Modified for a feed. `key` identifies the feed variant
+// (format, filters, reader) so different feeds never share an ETag; the
+// notice ids cover notices leaving the feed as well as edits.
+const buildFeedValidators = (notices, key) => {
+  const hash = crypto.createHash('sha1').update(key);
+
+  for (const notice of notices) {
+    hash.update(`|${notice._id}:${new Date(notice.updatedAt || notice.createdAt).getTime()}`);
+  }
+
+  return {
+    etag: `"${hash.digest('hex')}"`,
+    lastModified: getLastModified(notices)
+  };
+};
+
+const buildRssFeed = (notices, { title = FEED_TITLE, selfUrl }) => {
+  const updated = getLastModified(notices) || new Date();
+
+  const items = notices.map(notice => [
+    '    <item>',
+    `      <title>${escapeXml(getEntryTitle(notice))}</title>`,
+    `      <link>${escapeXml(getNoticeUrl(notice))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(`notice-${notice._id}`)}</guid>`,
+    `      <pubDate>${new Date(getPublishedAt(notice)).toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(getAuthorName(notice))}</dc:creator>`,
+    ...getEntryCategories(notice).map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(notice.content)}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(getFrontendUrl())}</link>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const buildAtomFeed = (notices, { title = FEED_TITLE, selfUrl }) => {
+  const updated = getLastModified(notices) || new Date();
+
+  const entries = notices.map(notice => [
+    '  <entry>',
+    `    <id>${escapeXml(getNoticeUrl(notice))}</id>`,
+    `    <title>${escapeXml(getEntryTitle(notice))}</title>`,
+    `    <link rel="alternate" href="${escapeXml(getNoticeUrl(notice))}"/>`,
+    `    <published>${new Date(getPublishedAt(notice)).toISOString()}</published>`,
+    `    <updated>${new Date(notice.updatedAt || notice.createdAt).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(getAuthorName(notice))}</name></author>`,
+    ...getEntryCategories(notice).map(category => `    <category term="${escapeXml(category)}"/>`),
+    `    <content type="text">${escapeXml(notice.content)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(getFrontendUrl())}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${FEED_TITLE}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+const buildFeed = (format, notices, options) => {
+  return format === 'atom' ? buildAtomFeed(notices, options) : buildRssFeed(notices, options);
+};
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_TITLE,
+  escapeXml,
+  buildFeedValidators,
+  buildFeed
+};
@@ -0,0 +1,119 @@
+// utils/noticeInteractions.js
+// Views and acknowledgments of notices, kept in their own collection rather
+// than in arrays on the notice. Each user has one record per notice and type;
+// viewing again only bumps that record, so a popular notice is never rewritten.
+// Every view and first acknowledgment is also counted per day for the trends.
+const Notice = require('../models/Notice');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+
+const COUNTER_FIELDS = {
+  view: 'viewCount',
+  acknowledgment: 'acknowledgedCount'
+};
+
+const DAILY_FIELDS = {
+  view: 'views',
+  acknowledgment: 'acknowledgments'
+};
+
+// YYYY-MM-DD (UTC), the day a NoticeDailyStat covers
+const toStatDate = (date) => date.toISOString().slice(0, 10);
+
+const countForDay = (noticeId, type) => {
+  return NoticeDailyStat.updateOne(
+    { notice: noticeId, date: toStatDate(new Date()) },
+    { $inc: { [DAILY_FIELDS[type]]: 1 } },
+    { upsert: true }
+  );
+};
+
+// Upsert the user's record and bump the notice's counter the first time.
+// Returns true when this was the user's first interaction of this type.
+const recordInteraction = async (notice, user, type, repeatUpdate) => {
+  const filter = { notice: notice._id, user: user._id, type };
+  const update = {
+    ...repeatUpdate,
+    $setOnInsert: {
+      role: user.role,
+      department: user.department || null,
+      year: user.year || null
+    }
+  };
+
+  let result;
+  try {
+    result = await NoticeInteraction.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    // Two requests raced to insert the same record; the other one counted it
+    if (error.code !== 11000) throw error;
+    if (repeatUpdate) {
+      await NoticeInteraction.updateOne(filter, repeatUpdate);
+      await countForDay(notice._id, type);
+    }
+    return false;
+  }
+
+  // Repeats only count for the day (acknowledging twice changes nothing)
+  if (result.upsertedCount === 0) {
+    if (repeatUpdate) {
+      await countForDay(notice._id, type);
+    }
+    return false;
+  }
+
+  await countForDay(notice._id, type);
+
+  // A new reader isn't an edit; keep updatedAt (used by the feeds) as it was
+  await Notice.updateOne(
+    { _id: notice._id },
+    { $inc: { [COUNTER_FIELDS[type]]: 1 } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+const recordView = (notice, user) => {
+  return recordInteraction(notice, user, 'view', {
+    $set: { lastAt: new Date() },
+    $inc: { count: 1 }
+  });
+};
+
+// Acknowledging twice changes nothing
+const recordAcknowledgment = (notice, user) => {
+  return recordInteraction(notice, user, 'acknowledgment');
+};
+
+const hasAcknowledged = async (noticeId, userId) => {
+  return Boolean(await NoticeInteraction.exists({ notice: noticeId, user: userId, type: 'acknowledgment' }));
+};
+
+// Ids of the users who acknowledged a notice
+const getAcknowledgedUserIds = (noticeId) => {
+  return NoticeInteraction.distinct('user', { notice: noticeId, type: 'acknowledgment' });
+};
+
+// Ids of the notices a user acknowledged
+const getAcknowledgedNoticeIds = (userId) => {
+  return NoticeInteraction.distinct('notice', { user: userId, type: 'acknowledgment' });
+};
+
+// Map of user id -> first time for every interaction of `type` with a notice
+const getFirstInteractionTimes = async (noticeId, type) => {
+  const interactions = await NoticeInteraction.find({ notice: noticeId, type })
+    .select('user createdAt')
+    .lean();
+
+  return new Map(interactions.map(interaction => [interaction.user.toString(), interaction.createdAt]));
+};
+
+module.exports = {
+  toStatDate,
+  recordView,
+  recordAcknowledgment,
+  hasAcknowledged,
+  getAcknowledgedUserIds,
+  getAcknowledgedNoticeIds,
+  getFirstInteractionTimes
+};
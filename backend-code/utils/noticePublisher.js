@@ -0,0 +1,71 @@
+// utils/noticePublisher.js
+const Notice = require('../models/Notice');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const emailNotifications = require('./emailNotifications');
+const notificationPreferences = require('./notificationPreferences');
+const { buildRecipientQuery } = require('./groupMembership');
+
+// Find users who should receive a new_notice notification
+const findNoticeAudience = async (notice) => {
+  const authorId = notice.author && (notice.author._id || notice.author);
+
+  return User.find({
+    ...(await buildRecipientQuery(notice)),
+    _id: { $ne: authorId }
+  });
+};
+
+// Create notifications and emit socket events for a published notice.
+// The notice is claimed through `notifiedAt` first, so calling this twice
+// (e.g. from the scheduler after a restart) never notifies users twice.
+const announceNotice = async (notice) => {
+  const claimed = await Notice.updateOne(
+    { _id: notice._id, notifiedAt: null },
+    { $set: { notifiedAt: new Date() } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  const audience = await findNoticeAudience(notice);
+  const preferences = await notificationPreferences.getPreferencesForUsers(audience.map(user => user._id));
+  const wants = (user, channel) => notificationPreferences.wantsNotification(
+    preferences.get(user._id.toString()),
+    { type: 'new_notice', channel, notice }
+  );
+
+  const targetUsers = audience.filter(user => wants(user, 'inApp'));
+
+  const notifications = targetUsers.map(user => ({
+    user: user._id,
+    type: 'new_notice',
+    message: `New ${notice.category} notice: ${notice.title}`,
+    relatedNotice: notice._id
+  }));
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  socketService.notifyNewNotice(notice);
+
+  // High-priority notices also go out by email, except to users in their
+  // quiet hours (they get it in the digest instead). Don't hold up the caller.
+  const emailUsers = audience.filter(user => {
+    return wants(user, 'email') && !notificationPreferences.isQuietHours(preferences.get(user._id.toString()));
+  });
+
+  emailNotifications.sendHighPriorityNoticeEmails(notice, emailUsers).catch(error => {
+    console.error(`Failed to email notice ${notice._id}:`, error);
+  });
+
+  return true;
+};
+
+module.exports = {
+  findNoticeAudience,
+  announceNotice
+};
@@ -0,0 +1,65 @@
+// utils/noticeQuery.js
+// The filter behind notice listings (GET /api/notices and the RSS/Atom
+// feeds), so every list applies the same filters and visibility rules.
+const { buildVisibilityFilter, buildDepartmentFilter } = require('./noticeAccess');
+
+// Build the Mongo query for a notice list. `user` is the reader (or null for
+// anonymous requests); logged-in users only see notices whose audience
+// includes them, anonymous readers only published notices marked public.
+const buildNoticeListQuery = ({ category, department, priority, status, search } = {}, user = null) => {
+  const query = { isArchived: false };
+
+  // Conditions that need their own $or go into $and so none overwrites another
+  const conditions = [];
+
+  // Filter by category
+  if (category && category !== 'all') {
+    query.category = category;
+  }
+
+  // Filter by department (notices targeting it, or every department)
+  if (department && department !== 'all') {
+    conditions.push(buildDepartmentFilter(department));
+  }
+
+  // Filter by priority
+  if (priority && priority !== 'all') {
+    query.priority = priority;
+  }
+
+  // Filter by status
+  query.status = (user && status) || 'published';
+
+  // Search in title and content
+  if (search) {
+    conditions.push({
+      $or: [
+        { title: { $regex: search, $options: 'i' } },
+        { content: { $regex: search, $options: 'i' } }
+      ]
+    });
+  }
+
+  if (user) {
+    const visibility = buildVisibilityFilter(user);
+    if (Object.keys(visibility).length > 0) {
+      conditions.push(visibility);
+    }
+  } else {
+    query.isPublic = true;
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+// Same order everywhere: pinned notices first, then newest
+const NOTICE_LIST_SORT = { isPinned: -1, createdAt: -1 };
+
+module.exports = {
+  buildNoticeListQuery,
+  NOTICE_LIST_SORT
+};
@@ -0,0 +1,247 @@
+// utils/noticeReach.js
+// Reach of notices measured against the people they target: how many of
+// them viewed, acknowledged or commented, and how long that took after
+// publishing. The audience is whoever matches the notice's audience today.
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const { buildRecipientQuery } = require('./groupMembership');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+const percent = (part, total) => (total > 0 ? Number((part / total * 100).toFixed(2)) : 0);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const toHours = (ms) => (ms === null ? null : Number((ms / HOUR_MS).toFixed(2)));
+
+// Start of the day, ISO week (Monday) or month `date` falls in, as YYYY-MM-DD
+// or YYYY-MM (UTC)
+const toPeriod = (date, interval) => {
+  if (interval === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+
+  if (interval === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+// Notices measured at the same time while building a report
+const REACH_BATCH_SIZE = 10;
+
+// Reach of one notice without loading its audience: the audience is counted
+// per department and year, and only readers who viewed, acknowledged or
+// commented are returned, with when they first viewed and acknowledged.
+const getNoticeReach = async (notice) => {
+  const authorId = notice.author && (notice.author._id || notice.author);
+  const audienceMatch = { $and: [await buildRecipientQuery(notice), { _id: { $ne: authorId } }] };
+
+  const [audience, interactions, commenterIds] = await Promise.all([
+    User.aggregate([
+      { $match: audienceMatch },
+      { $group: { _id: { department: '$department', year: '$year' }, count: { $sum: 1 } } }
+    ]),
+    NoticeInteraction.aggregate([
+      { $match: { notice: notice._id } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          let: { userId: '$user' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+            { $match: audienceMatch },
+            { $project: { department: 1, year: 1 } }
+          ],
+          as: 'reader'
+        }
+      },
+      { $unwind: '$reader' },
+      {
+        $group: {
+          _id: '$user',
+          department: { $first: '$reader.department' },
+          year: { $first: '$reader.year' },
+          viewedAt: { $min: { $cond: [{ $eq: ['$type', 'view'] }, '$createdAt', null] } },
+          acknowledgedAt: { $min: { $cond: [{ $eq: ['$type', 'acknowledgment'] }, '$createdAt', null] } }
+        }
+      }
+    ]),
+    Comment.distinct('author', { notice: notice._id })
+  ]);
+
+  const readers = new Map(interactions.map(reader => [reader._id.toString(), {
+    department: reader.department || null,
+    year: reader.year || null,
+    viewedAt: reader.viewedAt || null,
+    acknowledgedAt: reader.acknowledgedAt || null,
+    commented: false
+  }]));
+
+  // Commenters are few, so check them against the audience directly
+  if (commenterIds.length > 0) {
+    const commenters = await User.find({ $and: [audienceMatch, { _id: { $in: commenterIds } }] })
+      .select('department year')
+      .lean();
+
+    commenters.forEach(user => {
+      const id = user._id.toString();
+      if (!readers.has(id)) {
+        readers.set(id, {
+          department: user.department || null,
+          year: user.year || null,
+          viewedAt: null,
+          acknowledgedAt: null,
+          commented: false
+        });
+      }
+      readers.get(id).commented = true;
+    });
+  }
+
+  return {
+    audience: audience.map(group => ({
+      department: group._id.department || null,
+      year: group._id.year || null,
+      count: group.count
+    })),
+    readers: [...readers.values()]
+  };
+};
+
+const emptyTotals = () => ({
+  audience: 0,
+  viewed: 0,
+  acknowledged: 0,
+  engaged: 0,
+  timesToView: [],
+  timesToAcknowledge: []
+});
+
+const addAudience = (totals, count) => {
+  totals.audience += count;
+};
+
+const addReader = (totals, reader, publishedAt) => {
+  if (reader.viewedAt) {
+    totals.viewed++;
+    totals.timesToView.push(Math.max(0, reader.viewedAt - publishedAt));
+  }
+
+  if (reader.acknowledgedAt) {
+    totals.acknowledged++;
+    totals.timesToAcknowledge.push(Math.max(0, reader.acknowledgedAt - publishedAt));
+  }
+
+  if (reader.acknowledgedAt || reader.commented) {
+    totals.engaged++;
+  }
+};
+
+const summarize = (totals) => ({
+  audience: totals.audience,
+  viewed: totals.viewed,
+  acknowledged: totals.acknowledged,
+  viewedRate: percent(totals.viewed, totals.audience),
+  acknowledgedRate: percent(totals.acknowledged, totals.audience),
+  // Readers who acknowledged or commented
+  engagedRate: percent(totals.engaged, totals.audience),
+  medianHoursToView: toHours(median(totals.timesToView)),
+  medianHoursToAcknowledge: toHours(median(totals.timesToAcknowledge))
+});
+
+const getOrCreate = (map, key, create) => {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+};
+
+// Reach of `notices` overall, per notice, per reader department and year,
+// and trended by publish date in `interval` buckets
+const buildReachReport = async (notices, { interval = 'day' } = {}) => {
+  const overall = emptyTotals();
+  const byDepartment = new Map();
+  const byYear = new Map();
+  const trend = new Map();
+  const perNotice = [];
+
+  for (let i = 0; i < notices.length; i += REACH_BATCH_SIZE) {
+    const batch = notices.slice(i, i + REACH_BATCH_SIZE);
+    const reaches = await Promise.all(batch.map(getNoticeReach));
+
+    batch.forEach((notice, index) => {
+      const { audience, readers } = reaches[index];
+      const publishedAt = notice.publishedAt || notice.createdAt;
+      const noticeTotals = emptyTotals();
+      const period = getOrCreate(trend, toPeriod(publishedAt, interval), () => ({ notices: 0, totals: emptyTotals() }));
+
+      period.notices++;
+
+      for (const { department, year, count } of audience) {
+        addAudience(overall, count);
+        addAudience(noticeTotals, count);
+        addAudience(period.totals, count);
+        addAudience(getOrCreate(byDepartment, department, emptyTotals), count);
+
+        // Only students have a year
+        if (year) {
+          addAudience(getOrCreate(byYear, year, emptyTotals), count);
+        }
+      }
+
+      for (const reader of readers) {
+        addReader(overall, reader, publishedAt);
+        addReader(noticeTotals, reader, publishedAt);
+        addReader(period.totals, reader, publishedAt);
+        addReader(getOrCreate(byDepartment, reader.department, emptyTotals), reader, publishedAt);
+
+        if (reader.year) {
+          addReader(getOrCreate(byYear, reader.year, emptyTotals), reader, publishedAt);
+        }
+      }
+
+      perNotice.push({
+        id: notice._id,
+        title: notice.title,
+        category: notice.category,
+        publishedAt,
+        ...summarize(noticeTotals)
+      });
+    });
+  }
+
+  return {
+    summary: {
+      notices: notices.length,
+      ...summarize(overall)
+    },
+    byDepartment: [...byDepartment.entries()]
+      .map(([department, totals]) => ({ department, ...summarize(totals) }))
+      .sort((a, b) => String(a.department).localeCompare(String(b.department))),
+    byYear: [...byYear.entries()]
+      .map(([year, totals]) => ({ year, ...summarize(totals) }))
+      .sort((a, b) => a.year.localeCompare(b.year)),
+    trend: [...trend.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, { notices: count, totals }]) => ({ period, notices: count, ...summarize(totals) })),
+    notices: perNotice
+  };
+};
+
+module.exports = {
+  TREND_INTERVALS,
+  getNoticeReach,
+  buildReachReport
+};
@@ -0,0 +1,92 @@
+// utils/noticeReview.js
+// Admin approval of faculty-submitted notices. A notice waiting for review
+// has status 'pending_review'; the status the author asked for is kept in
+// review.requestedStatus and applied on approval.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketService = require('./socketService');
+
+const REVIEWABLE_STATUSES = ['published', 'scheduled'];
+
+// What readers see; faculty changing any of it on an approved notice send it
+// back for review
+const REVIEWED_FIELDS = ['title', 'content', 'category', 'audience', 'priority', 'attachments', 'event'];
+
+// Faculty notices need approval unless NOTICE_APPROVAL_REQUIRED=false
+const requiresReview = (user) => {
+  return user.role === 'faculty' && process.env.NOTICE_APPROVAL_REQUIRED !== 'false';
+};
+
+// Hold back a notice that is about to go live until an admin approves it.
+// Returns true if the notice was put into the review queue.
+const submitForReview = (notice) => {
+  if (!REVIEWABLE_STATUSES.includes(notice.status)) {
+    return false;
+  }
+
+  notice.review = {
+    status: 'pending',
+    requestedStatus: notice.status,
+    submittedAt: new Date(),
+    reviewedBy: null,
+    reviewedAt: null,
+    reason: null
+  };
+  notice.status = 'pending_review';
+  return true;
+};
+
+// Put a notice edited by `user` (back) into the review queue if the edit
+// changed its status or its content and the user needs approval. Returns
+// true if the notice was queued.
+const submitEditForReview = (notice, user) => {
+  if (!requiresReview(user)) {
+    return false;
+  }
+
+  if (!notice.isModified('status') && !REVIEWED_FIELDS.some(field => notice.isModified(field))) {
+    return false;
+  }
+
+  return submitForReview(notice);
+};
+
+// Let admins know there is something new in the review queue
+const notifyReviewers = async (notice, author) => {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+
+  const notifications = await Notification.insertMany(admins.map(admin => ({
+    user: admin._id,
+    type: 'system',
+    message: `${author.name} submitted "${notice.title}" for approval`,
+    relatedNotice: notice._id
+  })));
+
+  notifications.forEach(notification => {
+    socketService.notifyUser(notification.user, notification);
+  });
+};
+
+// Tell the author how their notice was reviewed
+const notifyAuthor = async (notice) => {
+  const message = notice.review.status === 'approved'
+    ? `Your notice "${notice.title}" was approved`
+    : `Your notice "${notice.title}" was rejected: ${notice.review.reason}`;
+
+  const notification = await Notification.create({
+    user: notice.author._id || notice.author,
+    type: 'system',
+    message,
+    relatedNotice: notice._id
+  });
+
+  socketService.notifyUser(notification.user, notification);
+};
+
+module.exports = {
+  requiresReview,
+  submitForReview,
+  submitEditForReview,
+  notifyReviewers,
+  notifyAuthor
+};
@@ -0,0 +1,143 @@
+// utils/noticeRevisions.js
+// Revision history for notices: snapshots after every edit, field-level
+// diffs between any two revisions, and restoring an earlier revision.
+const NoticeRevision = require('../models/NoticeRevision');
+const noticeEvents = require('./noticeEvents');
+
+// Fields captured in each revision, in display order
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'category',
+  'department',
+  'targetYear',
+  'audience',
+  'priority',
+  'status',
+  'scheduledDate',
+  'expiresAt',
+  'event',
+  'attachments'
+];
+
+const takeSnapshot = (notice) => ({
+  title: notice.title,
+  content: notice.content,
+  category: notice.category,
+  department: notice.department,
+  targetYear: notice.targetYear,
+  audience: {
+    departments: [...(notice.audience.departments || [])],
+    years: [...(notice.audience.years || [])],
+    roles: [...(notice.audience.roles || [])],
+    groups: [...(notice.audience.groups || [])]
+  },
+  priority: notice.priority,
+  status: notice.status,
+  scheduledDate: notice.scheduledDate,
+  expiresAt: notice.expiresAt,
+  event: noticeEvents.toEventSnapshot(notice),
+  attachments: notice.attachments.map(a => ({ name: a.name, url: a.url, type: a.type, size: a.size }))
+});
+
+// Compare values as JSON so dates, ids and nested arrays compare by content
+const normalize = (value) => JSON.stringify(value === undefined ? null : value);
+
+const toPlain = (snapshot) => {
+  return snapshot && typeof snapshot.toObject === 'function' ? snapshot.toObject() : snapshot;
+};
+
+// [{ field, from, to }] for every tracked field that differs
+const diffSnapshots = (from, to) => {
+  const a = toPlain(from) || {};
+  const b = toPlain(to) || {};
+
+  return TRACKED_FIELDS
+    .filter(field => normalize(a[field]) !== normalize(b[field]))
+    .map(field => ({
+      field,
+      from: a[field] === undefined ? null : a[field],
+      to: b[field] === undefined ? null : b[field]
+    }));
+};
+
+const getLatestRevision = (noticeId) => {
+  return NoticeRevision.findOne({ notice: noticeId }).sort({ version: -1 });
+};
+
+// Store the notice's current state as a new revision, unless nothing
+// tracked has changed since the latest one. Returns the revision or null.
+const recordRevision = async (notice, editor, options = {}) => {
+  const latest = await getLatestRevision(notice._id);
+  const snapshot = takeSnapshot(notice);
+  const changedFields = latest ? diffSnapshots(latest.snapshot, snapshot).map(change => change.field) : [];
+
+  if (latest && changedFields.length === 0) {
+    return null;
+  }
+
+  try {
+    return await NoticeRevision.create({
+      notice: notice._id,
+      version: latest ? latest.version + 1 : 1,
+      editedBy: editor ? editor._id : null,
+      changedFields,
+      restoredFrom: options.restoredFrom || null,
+      snapshot
+    });
+  } catch (error) {
+    // Two edits raced for the same version number; the retry sees the other one
+    if (error.code === 11000 && !options.isRetry) {
+      return recordRevision(notice, editor, { ...options, isRetry: true });
+    }
+    throw error;
+  }
+};
+
+// Notices created before history existed get their pre-edit state recorded
+// as version 1, credited to the author
+const ensureBaseline = async (notice) => {
+  const exists = await NoticeRevision.exists({ notice: notice._id });
+
+  if (!exists) {
+    await recordRevision(notice, { _id: notice.author._id || notice.author });
+  }
+};
+
+// Write a revision back onto the notice (not saved). Status is left alone so
+// a restore can't publish or unpublish a notice, and attachments are left
+// alone because removed uploads no longer exist in storage.
+const applyRevision = (notice, revision) => {
+  const snapshot = toPlain(revision.snapshot);
+
+  notice.title = snapshot.title;
+  notice.content = snapshot.content;
+  notice.category = snapshot.category;
+  notice.priority = snapshot.priority;
+  notice.scheduledDate = snapshot.scheduledDate || null;
+  notice.expiresAt = snapshot.expiresAt || null;
+  notice.setAudience({
+    departments: snapshot.audience.departments || [],
+    years: snapshot.audience.years || [],
+    roles: snapshot.audience.roles || [],
+    groups: snapshot.audience.groups || []
+  });
+
+  // Revisions from before event details existed leave them alone
+  if (snapshot.event !== undefined) {
+    noticeEvents.applyEvent(notice, snapshot.event);
+  }
+
+  if (!noticeEvents.EVENT_CATEGORIES.includes(notice.category)) {
+    noticeEvents.applyEvent(notice, null);
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  takeSnapshot,
+  diffSnapshots,
+  recordRevision,
+  ensureBaseline,
+  applyRevision
+};
@@ -0,0 +1,106 @@
+// utils/noticeScheduler.js
+const Notice = require('../models/Notice');
+const noticePublisher = require('./noticePublisher');
+const noticeExpiry = require('./noticeExpiry');
+const emailNotifications = require('./emailNotifications');
+const noticeAcknowledgments = require('./noticeAcknowledgments');
+const trash = require('./trash');
+const scheduledReports = require('./scheduledReports');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+// Flip one due notice to published with a conditional update, so only one
+// server instance (or one tick) can ever claim it
+const claimNextDueNotice = (now) => Notice.findOneAndUpdate(
+  { status: 'scheduled', scheduledDate: { $ne: null, $lte: now } },
+  { $set: { status: 'published', publishedAt: now } },
+  { new: true }
+);
+
+// Publish every scheduled notice whose scheduledDate has passed
+const publishDueNotices = async () => {
+  let publishedCount = 0;
+  const now = new Date();
+
+  let notice = await claimNextDueNotice(now);
+  while (notice) {
+    publishedCount++;
+    notice = await claimNextDueNotice(now);
+  }
+
+  // Announce everything published but not yet announced. This includes the
+  // notices claimed above and any left over if the server stopped between
+  // publishing and notifying.
+  const unannounced = await Notice.find({
+    status: 'published',
+    publishedAt: { $ne: null },
+    notifiedAt: null
+  });
+
+  for (const pending of unannounced) {
+    try {
+      await pending.populate('author', 'name role department');
+      await noticePublisher.announceNotice(pending);
+    } catch (error) {
+      console.error(`Failed to announce notice ${pending._id}:`, error);
+    }
+  }
+
+  return publishedCount;
+};
+
+// Run one job, logging instead of throwing so a failing job doesn't block the others
+const runJob = async (name, job, describe) => {
+  try {
+    const count = await job();
+    if (count > 0) {
+      console.log(describe(count));
+    }
+  } catch (error) {
+    console.error(`Notice Scheduler Error (${name}):`, error);
+  }
+};
+
+const tick = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await runJob('publish', publishDueNotices, count => `📢 Published ${count} scheduled notice(s)`);
+    await runJob('expiry-warning', noticeExpiry.sendExpiryWarnings, count => `⏳ Sent ${count} expiry warning(s)`);
+    await runJob('archive', noticeExpiry.archiveExpiredNotices, count => `🗄️  Archived ${count} expired notice(s)`);
+    await runJob('ack-reminder', noticeAcknowledgments.sendAcknowledgmentReminders, count => `🔔 Sent ${count} acknowledgment reminder(s)`);
+    await runJob('ack-escalation', noticeAcknowledgments.escalateOverdueAcknowledgments, count => `⚠️  Escalated ${count} overdue acknowledgment(s)`);
+    await runJob('email-digest', emailNotifications.sendDailyDigests, count => `📧 Sent ${count} daily digest(s)`);
+    await runJob('reports', scheduledReports.sendDueReports, count => `📊 Sent ${count} scheduled report(s)`);
+    await runJob('trash-purge', trash.purgeExpiredTrash, count => `🗑️  Purged ${count} item(s) from the trash`);
+  } finally {
+    isRunning = false;
+  }
+};
+
+const startScheduler = (intervalMs) => {
+  if (timer) return;
+
+  const interval = parseInt(intervalMs || process.env.NOTICE_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+
+  // Catch up immediately on anything that fell due while the server was down
+  tick();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  publishDueNotices
+};
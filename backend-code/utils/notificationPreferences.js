@@ -0,0 +1,113 @@
+// utils/notificationPreferences.js
+// Applies per-user notification preferences to fan-out
+const NotificationPreference = require('../models/NotificationPreference');
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// Users without a stored document get the schema defaults
+const buildDefaults = (userId) => new NotificationPreference({ user: userId });
+
+const getPreferences = async (userId) => {
+  const preferences = await NotificationPreference.findOne({ user: userId });
+  return preferences || buildDefaults(userId);
+};
+
+// Map of userId -> preferences for a batch of users
+const getPreferencesForUsers = async (userIds) => {
+  const stored = await NotificationPreference.find({ user: { $in: userIds } });
+  const byUser = new Map(stored.map(pref => [pref.user.toString(), pref]));
+
+  userIds.forEach(id => {
+    const key = id.toString();
+    if (!byUser.has(key)) {
+      byUser.set(key, buildDefaults(id));
+    }
+  });
+
+  return byUser;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight in the user's time zone
+const getLocalMinutes = (date, timezone) => {
+  if (!timezone) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const hours = Number(parts.find(p => p.type === 'hour').value);
+    const minutes = Number(parts.find(p => p.type === 'minute').value);
+    return hours * 60 + minutes;
+  } catch (error) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+};
+
+const isQuietHours = (preferences, date = new Date()) => {
+  const quiet = preferences.quietHours;
+  if (!quiet || !quiet.enabled) return false;
+
+  const now = getLocalMinutes(date, quiet.timezone);
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+
+  if (start === end) return false;
+
+  // Windows like 22:00-07:00 wrap around midnight
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Whether a notification of `type` may use `channel` ('inApp' or 'email').
+// For new_notice, `notice` lets the category and priority filters apply.
+const wantsNotification = (preferences, { type, channel, notice }) => {
+  const typeSettings = preferences.types && preferences.types[type];
+  if (typeSettings && typeSettings[channel] === false) {
+    return false;
+  }
+
+  if (type === 'new_notice' && notice) {
+    if (preferences.categories && preferences.categories[notice.category] === false) {
+      return false;
+    }
+
+    const minimum = PRIORITY_RANK[preferences.minimumPriority] || 0;
+    if ((PRIORITY_RANK[notice.priority] ?? PRIORITY_RANK.medium) < minimum) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Check one user before creating a notification for them. Returns which
+// channels to use right now.
+const resolveDelivery = async (userId, options) => {
+  const preferences = await getPreferences(userId);
+  const quiet = isQuietHours(preferences);
+
+  return {
+    inApp: wantsNotification(preferences, { ...options, channel: 'inApp' }),
+    realtime: !quiet,
+    email: !quiet && wantsNotification(preferences, { ...options, channel: 'email' })
+  };
+};
+
+module.exports = {
+  getPreferences,
+  getPreferencesForUsers,
+  isQuietHours,
+  wantsNotification,
+  resolveDelivery
+};
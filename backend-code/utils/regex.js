@@ -0,0 +1,9 @@
+// utils/regex.js
+// Helpers for building regular expressions from user input.
+
+// Escape characters with a special meaning so `text` matches literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
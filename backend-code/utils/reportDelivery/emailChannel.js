@@ -0,0 +1,18 @@
+// utils/reportDelivery/emailChannel.js
+// Sends each report as one email with the spreadsheets attached
+const { sendMail } = require('../mail');
+
+const createEmailChannel = () => ({
+  name: 'email',
+
+  deliver: ({ recipients, subject, text, attachments }) => {
+    return sendMail({
+      to: recipients.join(', '),
+      subject,
+      text,
+      attachments
+    });
+  }
+});
+
+module.exports = createEmailChannel;
@@ -0,0 +1,26 @@
+// utils/reportDelivery/fileChannel.js
+// Writes each report's files to REPORT_DIR/<subscription id>/, e.g. for a
+// shared drive that is synced elsewhere. Recipients are ignored.
+const fs = require('fs');
+const path = require('path');
+
+const createFileChannel = (options = {}) => {
+  const dir = path.resolve(options.dir || process.env.REPORT_DIR || 'reports');
+
+  return {
+    name: 'file',
+
+    deliver: async ({ subscription, attachments }) => {
+      const target = path.join(dir, subscription._id.toString());
+      await fs.promises.mkdir(target, { recursive: true });
+
+      for (const attachment of attachments) {
+        await fs.promises.writeFile(path.join(target, attachment.filename), attachment.content);
+      }
+
+      return { files: attachments.map(attachment => attachment.filename) };
+    }
+  };
+};
+
+module.exports = createFileChannel;
@@ -0,0 +1,45 @@
+// utils/reportDelivery/index.js
+// Pluggable delivery for scheduled analytics reports. A channel exposes
+//   deliver({ subscription, recipients, subject, text, attachments }) => Promise
+// where attachments are { filename, content, contentType }. Subscriptions
+// pick their channel by name; 'email' sends through the mail transport and
+// 'file' writes the reports to REPORT_DIR.
+const createEmailChannel = require('./emailChannel');
+const createFileChannel = require('./fileChannel');
+
+const factories = {
+  email: createEmailChannel,
+  file: createFileChannel
+};
+
+const channels = new Map();
+
+const registerChannel = (name, factory) => {
+  factories[name] = factory;
+  channels.delete(name);
+};
+
+const hasChannel = (name) => Boolean(factories[name]);
+
+const getChannelNames = () => Object.keys(factories);
+
+const getChannel = (name) => {
+  if (!channels.has(name)) {
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown report delivery channel: ${name}`);
+    }
+
+    channels.set(name, factory());
+  }
+
+  return channels.get(name);
+};
+
+module.exports = {
+  registerChannel,
+  hasChannel,
+  getChannelNames,
+  getChannel
+};
@@ -0,0 +1,227 @@
+// utils/scheduledReports.js
+// Report subscriptions: validating them, working out when they next run,
+// and generating and delivering the reports that are due.
+const ReportSubscription = require('../models/ReportSubscription');
+const User = require('../models/User');
+const analytics = require('./analytics');
+const analyticsExport = require('./analyticsExport');
+const reportDelivery = require('./reportDelivery');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_RECIPIENTS = 20;
+const MAX_SCOPE_DAYS = 366;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Parse and validate a subscription body. With `partial` (updates) only the
+// fields that were sent are checked. Returns { values } or { error }.
+const parseSubscriptionInput = (body, { partial = false } = {}) => {
+  const values = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Report name is required' };
+    }
+    values.name = String(body.name).trim();
+  }
+
+  if (has('views') || !partial) {
+    const views = body.views;
+    if (!Array.isArray(views) || views.length === 0 || !views.every(view => analytics.ANALYTICS_VIEWS.includes(view))) {
+      return { error: `views must be a non-empty list of ${analytics.ANALYTICS_VIEWS.join(', ')}` };
+    }
+    values.views = [...new Set(views)];
+  }
+
+  if (has('scope')) {
+    const { department = null, category = null, days = 7 } = body.scope || {};
+    if (!isIntegerBetween(days, 1, MAX_SCOPE_DAYS)) {
+      return { error: `scope.days must be a whole number from 1 to ${MAX_SCOPE_DAYS}` };
+    }
+    values.scope = { department: department || null, category: category || null, days };
+  }
+
+  if (has('format') && !Object.keys(analyticsExport.EXPORT_FORMATS).includes(body.format)) {
+    return { error: 'format must be csv or xlsx' };
+  }
+
+  if (has('frequency') && !FREQUENCIES.includes(body.frequency)) {
+    return { error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  if (has('dayOfWeek') && !isIntegerBetween(body.dayOfWeek, 0, 6)) {
+    return { error: 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  if (has('dayOfMonth') && !isIntegerBetween(body.dayOfMonth, 1, 28)) {
+    return { error: 'dayOfMonth must be 1 to 28' };
+  }
+
+  if (has('hour') && !isIntegerBetween(body.hour, 0, 23)) {
+    return { error: 'hour must be 0 to 23' };
+  }
+
+  if (has('channel') && !reportDelivery.hasChannel(body.channel)) {
+    return { error: `channel must be one of ${reportDelivery.getChannelNames().join(', ')}` };
+  }
+
+  if (has('recipients')) {
+    const recipients = body.recipients;
+    if (!Array.isArray(recipients) || recipients.length > MAX_RECIPIENTS ||
+        !recipients.every(email => typeof email === 'string' && EMAIL_PATTERN.test(email.trim()))) {
+      return { error: `recipients must be a list of up to ${MAX_RECIPIENTS} email addresses` };
+    }
+    values.recipients = [...new Set(recipients.map(email => email.trim().toLowerCase()))];
+  }
+
+  for (const key of ['format', 'frequency', 'dayOfWeek', 'dayOfMonth', 'hour', 'channel']) {
+    if (has(key)) values[key] = body[key];
+  }
+
+  if (has('isActive')) {
+    values.isActive = Boolean(body.isActive);
+  }
+
+  return { values };
+};
+
+// Recipients without an active account. Only admins may send reports
+// outside the notice board.
+const findUnregisteredRecipients = async (recipients) => {
+  const users = await User.find({ email: { $in: recipients }, isActive: true }).select('email');
+  const registered = users.map(user => user.email);
+
+  return recipients.filter(email => !registered.includes(email));
+};
+
+// The first run time after `after` (server time)
+const computeNextRunAt = (subscription, after = new Date()) => {
+  const next = new Date(after);
+  next.setHours(subscription.hour, 0, 0, 0);
+
+  if (subscription.frequency === 'monthly') {
+    next.setDate(subscription.dayOfMonth);
+    if (next <= after) next.setMonth(next.getMonth() + 1);
+  } else if (subscription.frequency === 'weekly') {
+    next.setDate(next.getDate() + (subscription.dayOfWeek - next.getDay() + 7) % 7);
+    if (next <= after) next.setDate(next.getDate() + 7);
+  } else if (next <= after) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next;
+};
+
+// Analytics options for a subscription's scope, looking `days` back from now
+const toViewOptions = (scope = {}) => {
+  const days = scope.days || 7;
+
+  return {
+    timeRange: days,
+    from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+    department: scope.department || undefined,
+    category: scope.category || undefined
+  };
+};
+
+// One file per view, generated as `owner`
+const generateReportFiles = async (subscription, owner) => {
+  const attachments = [];
+
+  for (const view of subscription.views) {
+    const { data, error } = await analytics.runAnalyticsView(view, owner, toViewOptions(subscription.scope));
+    if (error) {
+      throw new Error(error);
+    }
+
+    const file = await analyticsExport.buildExport(view, data, subscription.format);
+    attachments.push({ filename: file.fileName, content: file.content, contentType: file.contentType });
+  }
+
+  return attachments;
+};
+
+// Generate a subscription's report and hand it to its channel
+const deliverReport = async (subscription) => {
+  const owner = await User.findById(subscription.owner);
+
+  if (!owner || !owner.isActive || !['admin', 'faculty'].includes(owner.role)) {
+    throw new Error('The report owner can no longer view analytics');
+  }
+
+  const attachments = await generateReportFiles(subscription, owner);
+
+  // Accounts may have been closed since a faculty subscription was saved
+  let recipients = subscription.recipients;
+  if (owner.role !== 'admin' && recipients.length > 0) {
+    const unregistered = await findUnregisteredRecipients(recipients);
+    recipients = recipients.filter(email => !unregistered.includes(email));
+  }
+
+  if (recipients.length === 0) {
+    recipients = [owner.email];
+  }
+
+  await reportDelivery.getChannel(subscription.channel).deliver({
+    subscription,
+    recipients,
+    subject: `Analytics report: ${subscription.name}`,
+    text: [
+      `Hi ${owner.name},`,
+      '',
+      `Attached is your ${subscription.frequency} analytics report "${subscription.name}"`,
+      `covering the last ${subscription.scope.days} day(s): ${subscription.views.join(', ')}.`
+    ].join('\n'),
+    attachments
+  });
+};
+
+// Deliver every subscription whose run time has come
+const sendDueReports = async () => {
+  const now = new Date();
+  let sentCount = 0;
+
+  const due = await ReportSubscription.find({
+    isActive: true,
+    nextRunAt: { $ne: null, $lte: now }
+  });
+
+  for (const subscription of due) {
+    // Claim the run by moving nextRunAt on, so a restart or a second instance
+    // can't send it again. A failed run waits for the next one.
+    const claimed = await ReportSubscription.updateOne(
+      { _id: subscription._id, nextRunAt: subscription.nextRunAt },
+      { $set: { nextRunAt: computeNextRunAt(subscription, now) } }
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await deliverReport(subscription);
+      await ReportSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastSentAt: now, lastError: null } }
+      );
+      sentCount++;
+    } catch (error) {
+      console.error(`Failed to send report ${subscription._id}:`, error);
+      await ReportSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastError: error.message } }
+      );
+    }
+  }
+
+  return sentCount;
+};
+
+module.exports = {
+  parseSubscriptionInput,
+  findUnregisteredRecipients,
+  computeNextRunAt,
+  deliverReport,
+  sendDueReports
+};
@@ -0,0 +1,99 @@
+// utils/searchHighlight.js
+// Builds highlighted title/snippet strings for text search results.
+// Output is HTML-escaped with matches wrapped in <mark></mark>.
+const { escapeRegex } = require('./regex');
+
+const SNIPPET_RADIUS = 80;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a $text search string into the terms worth highlighting.
+// Quoted phrases stay together and negated terms (-word) are dropped.
+const extractTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+// The text index stems words ("exams" matches "exam"), so match any word
+// that starts with a term, or with the term minus a trailing "s"
+const buildMatcher = (terms) => {
+  if (terms.length === 0) return null;
+
+  const alternatives = terms.map(term => {
+    const stem = term.length > 3 ? term.replace(/s$/i, '') : term;
+    return `${escapeRegex(stem)}\\w*`;
+  });
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+};
+
+const markMatches = (text, matcher) => {
+  if (!matcher) return escapeHtml(text);
+
+  let result = '';
+  let lastIndex = 0;
+  matcher.lastIndex = 0;
+  let match;
+
+  while ((match = matcher.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      matcher.lastIndex++;
+      continue;
+    }
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Take a window of content around the first match
+const buildSnippet = (content, matcher) => {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  let start = 0;
+
+  if (matcher) {
+    matcher.lastIndex = 0;
+    const match = matcher.exec(text);
+    if (match) {
+      start = Math.max(0, match.index - SNIPPET_RADIUS);
+    }
+  }
+
+  const end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return prefix + markMatches(text.slice(start, end), matcher) + suffix;
+};
+
+const highlightNotice = (notice, search) => {
+  const matcher = buildMatcher(extractTerms(search));
+
+  return {
+    title: markMatches(notice.title || '', matcher),
+    snippet: buildSnippet(notice.content, matcher)
+  };
+};
+
+module.exports = {
+  extractTerms,
+  highlightNotice
+};
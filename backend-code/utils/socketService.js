@@ -1,7 +1,40 @@
 const socketIO = require('socket.io');
+const { verifyAccessToken } = require('./tokenService');
+const User = require('../models/User');
+const { getUserRooms, getNoticeRooms } = require('./noticeAccess');
+const { buildRecipientQuery } = require('./groupMembership');
 
 let io;
 
+// Accept the access token from the handshake auth payload, the query string
+// or an Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, query = {}, headers = {} } = socket.handshake;
+  return auth.token || query.token || headers.authorization?.replace('Bearer ', '');
+};
+
+// Verify the JWT before the connection is accepted
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const user = await verifyAccessToken(token);
+
+    if (!user || !user.isActive || user.status !== 'active') {
+      return next(new Error('Invalid token or user not active.'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
 const initSocket = (server) => {
   io = socketIO(server, {
     cors: {
@@ -10,16 +43,15 @@ const initSocket = (server) => {
     }
   });
 
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
+    const user = socket.data.user;
     console.log('Client connected:', socket.id);
 
-    // Join user's personal room for targeted notifications
-    socket.on('join-room', (userId) => {
-      if (userId) {
-        socket.join(`user-${userId}`);
-        console.log(`User ${userId} joined room user-${userId}`);
-      }
-    });
+    // Rooms are assigned by the server from the verified user; clients can't
+    // pick their own
+    socket.join(getUserRooms(user));
 
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
@@ -29,32 +61,60 @@ const initSocket = (server) => {
   return io;
 };
 
+// Rooms of the users allowed to read the notice. Group members have no
+// shared room, so group-targeted notices go to each member's own room.
+const resolveNoticeRooms = async (notice) => {
+  const rooms = getNoticeRooms(notice);
+  const groups = (notice.audience && notice.audience.groups) || [];
+
+  if (notice.status === 'published' && groups.length > 0) {
+    const members = await User.find(await buildRecipientQuery(notice)).select('_id');
+    rooms.push(...members.map(member => `user-${member._id}`));
+  }
+
+  return rooms;
+};
+
+// Emit only to the users allowed to read the notice. Resolving group members
+// is async, so events are sent in the background.
+const toNoticeAudience = (notice, emit) => {
+  resolveNoticeRooms(notice)
+    .then(rooms => emit(io.to(rooms)))
+    .catch(error => console.error('Socket Audience Error:', error));
+};
+
 const notifyNewNotice = (notice) => {
   if (io) {
-    io.emit('notice-update');
-    io.emit('new-notice', {
-      notice,
-      message: `New ${notice.category} notice posted`
+    toNoticeAudience(notice, audience => {
+      audience.emit('notice-update');
+      audience.emit('new-notice', {
+        notice,
+        message: `New ${notice.category} notice posted`
+      });
     });
   }
 };
 
 const notifyUpdatedNotice = (notice) => {
   if (io) {
-    io.emit('notice-update');
+    toNoticeAudience(notice, audience => {
+      audience.emit('notice-update', { noticeId: notice._id });
+    });
   }
 };
 
-const notifyDeletedNotice = (noticeId) => {
+// Takes the deleted notice (not just its id) so the event reaches the same
+// audience that could see it
+const notifyDeletedNotice = (notice) => {
   if (io) {
-    io.emit('notice-update');
+    toNoticeAudience(notice, audience => {
+      audience.emit('notice-update', { noticeId: notice._id, deleted: true });
+    });
   }
 };
 
 const notifyNewComment = (comment, notice, targetUserId) => {
   if (io) {
-    io.emit('notification-update');
-    
     if (targetUserId) {
       io.to(`user-${targetUserId}`).emit('new-comment', {
         comment,
@@ -62,31 +122,55 @@ const notifyNewComment = (comment, notice, targetUserId) => {
         message: `New comment on your notice: ${notice.title}`
       });
     }
-    
-    io.emit('new-comment');
+
+    toNoticeAudience(notice, audience => {
+      audience.emit('notification-update');
+      audience.emit('new-comment', { noticeId: notice._id });
+    });
+  }
+};
+
+const notifyEditedComment = (comment, notice) => {
+  if (io) {
+    toNoticeAudience(notice, audience => {
+      audience.emit('notification-update');
+      audience.emit('comment-edited', comment);
+    });
   }
 };
 
-const notifyEditedComment = (comment) => {
+const notifyDeletedComment = (commentId, notice) => {
   if (io) {
-    io.emit('notification-update');
-    io.emit('comment-edited', comment);
+    toNoticeAudience(notice, audience => {
+      audience.emit('notification-update');
+      audience.emit('comment-deleted', commentId);
+    });
   }
 };
 
-const notifyDeletedComment = (commentId) => {
+const notifyUser = (userId, notification) => {
   if (io) {
-    io.emit('notification-update');
-    io.emit('comment-deleted', commentId);
+    io.to(`user-${userId}`).emit('notification', notification);
+    io.to(`user-${userId}`).emit('notification-update');
+  }
+};
+
+// Drop a user's live connections, e.g. after deactivation or a role change;
+// clients reconnect with a fresh token and get the right rooms
+const disconnectUser = (userId) => {
+  if (io) {
+    io.in(`user-${userId}`).disconnectSockets(true);
   }
 };
 
 module.exports = {
   initSocket,
+  notifyUser,
+  disconnectUser,
   notifyNewNotice,
   notifyUpdatedNotice,
   notifyDeletedNotice,
   notifyNewComment,
   notifyEditedComment,
   notifyDeletedComment
-};
\ No newline at end of file
+};
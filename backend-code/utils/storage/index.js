@@ -0,0 +1,41 @@
+// utils/storage/index.js
+// Pluggable attachment storage. A driver exposes
+//   save(key, buffer), createReadStream(key), exists(key), remove(key)
+// and is selected with ATTACHMENT_STORAGE (defaults to local disk).
+const createLocalStorage = require('./localStorage');
+
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = drivers[driverName];
+
+    if (!factory) {
+      throw new Error(`Unknown attachment storage driver: ${driverName}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+// Mainly for tests or custom setups that build their own driver
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+module.exports = {
+  registerDriver,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,42 @@
+// utils/storage/localStorage.js
+// Stores attachment files on the local disk under UPLOAD_DIR
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = (options = {}) => {
+  const baseDir = path.resolve(options.dir || process.env.UPLOAD_DIR || 'uploads');
+
+  // Keys are generated by us, but never let one escape the upload directory
+  const resolveKey = (key) => path.join(baseDir, path.basename(key));
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      await fs.promises.writeFile(resolveKey(key), buffer);
+      return key;
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,160 @@
+// utils/tokenService.js
+// Short-lived JWT access tokens plus rotating, server-side refresh tokens.
+// Access tokens carry the user's tokenVersion; bumping it (logout everywhere,
+// password change) invalidates every access token already issued.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
+  );
+};
+
+// Verify an access token and load its user. Throws if the token is invalid,
+// expired or was revoked by a tokenVersion bump. Returns null if the user
+// no longer exists.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  // Other tokens signed with the same secret (calendar feed links, email
+  // unsubscribe links) must never work as an API login
+  if (decoded.type !== 'access') {
+    throw new Error('Not an access token');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    return null;
+  }
+
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    throw new Error('Token has been revoked');
+  }
+
+  return user;
+};
+
+const issueRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    createdByIp: req ? req.ip : null,
+    userAgent: req ? req.get('User-Agent') || null : null
+  });
+
+  return { token, record };
+};
+
+// Access + refresh token pair for a fresh login
+const issueTokenPair = async (user, req) => {
+  const { token: refreshToken } = await issueRefreshToken(user, req);
+  return {
+    token: generateAccessToken(user),
+    refreshToken
+  };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Exchange a refresh token for a new pair. The old token is revoked; if an
+// already revoked token is presented, the whole family is revoked because
+// the token has most likely been stolen.
+const rotateRefreshToken = async (token, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token || '') });
+
+  if (!record) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (record.revokedAt) {
+    if (record.revokedReason === 'rotated') {
+      await revokeFamily(record.family, 'reuse_detected');
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (record.expiresAt <= new Date()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive || user.status !== 'active') {
+    await revokeFamily(record.family, 'user_inactive');
+    return { error: 'Invalid token or user not active.' };
+  }
+
+  // Claim the old token atomically so two parallel refreshes can't both win
+  const claimed = await RefreshToken.updateOne(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    await revokeFamily(record.family, 'reuse_detected');
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const { token: refreshToken, record: next } = await issueRefreshToken(user, req, record.family);
+  await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: next._id } });
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken
+  };
+};
+
+// Revoke the login a refresh token belongs to (logout)
+const revokeRefreshToken = async (token, userId) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token || ''), user: userId });
+
+  if (!record) {
+    return false;
+  }
+
+  await revokeFamily(record.family, 'logout');
+  return true;
+};
+
+// Revoke every session of a user: all refresh tokens, and all access tokens
+// through the tokenVersion bump
+const revokeAllSessions = async (user, reason) => {
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+};
+
+module.exports = {
+  generateAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,154 @@
+// utils/trash.js
+// Moving notices and comments to the trash, restoring them, and purging them
+// for good once the retention period is over. Trashing a notice takes its
+// comments and notifications along; restoring brings back exactly those.
+const Notice = require('../models/Notice');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const NoticeRevision = require('../models/NoticeRevision');
+const NoticeInteraction = require('../models/NoticeInteraction');
+const NoticeDailyStat = require('../models/NoticeDailyStat');
+const { getStorage } = require('./storage');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+// When an item deleted at `deletedAt` will be purged
+const getPurgeDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+const trashedState = (user, deletedWith) => ({
+  deletedAt: new Date(),
+  deletedBy: user ? user._id : null,
+  deletedWith: deletedWith || null
+});
+
+const restoredState = { deletedAt: null, deletedBy: null, deletedWith: null };
+
+const trashNotice = async (notice, user) => {
+  Object.assign(notice, trashedState(user));
+  await notice.save();
+
+  // Items already in the trash keep their own entry
+  const [comments] = await Promise.all([
+    Comment.updateMany({ notice: notice._id }, { $set: trashedState(user, notice._id) }),
+    Notification.updateMany({ relatedNotice: notice._id }, { $set: trashedState(user, notice._id) })
+  ]);
+
+  return { commentsTrashed: comments.modifiedCount };
+};
+
+const restoreNotice = async (notice) => {
+  await Promise.all([
+    Comment.updateMany({ deletedWith: notice._id, deletedAt: { $ne: null } }, { $set: restoredState }),
+    Notification.updateMany({ deletedWith: notice._id, deletedAt: { $ne: null } }, { $set: restoredState })
+  ]);
+
+  Object.assign(notice, restoredState);
+  await notice.save();
+};
+
+// Delete a notice and everything attached to it, trashed or not
+const purgeNotice = async (notice) => {
+  await Promise.all([
+    Comment.deleteMany({ notice: notice._id }),
+    Notification.deleteMany({ relatedNotice: notice._id }),
+    NoticeRevision.deleteMany({ notice: notice._id }),
+    NoticeInteraction.deleteMany({ notice: notice._id }),
+    NoticeDailyStat.deleteMany({ notice: notice._id })
+  ]);
+
+  await Notice.deleteOne({ _id: notice._id });
+
+  const storageKeys = notice.attachments.filter(a => a.storageKey).map(a => a.storageKey);
+  if (storageKeys.length > 0) {
+    try {
+      await Promise.all(storageKeys.map(key => getStorage().remove(key)));
+    } catch (cleanupErr) {
+      console.error('Attachment cleanup error:', cleanupErr);
+    }
+  }
+};
+
+// Trash a comment with its replies and their notifications
+const trashComment = async (comment, user) => {
+  const replies = await Comment.find({ parentComment: comment._id }).select('_id');
+  const ids = [comment._id, ...replies.map(reply => reply._id)];
+
+  Object.assign(comment, trashedState(user));
+  await comment.save();
+
+  await Promise.all([
+    Comment.updateMany({ parentComment: comment._id }, { $set: trashedState(user, comment._id) }),
+    Notification.updateMany({ relatedComment: { $in: ids } }, { $set: trashedState(user, comment._id) })
+  ]);
+
+  return { repliesTrashed: replies.length };
+};
+
+const restoreComment = async (comment) => {
+  await Promise.all([
+    Comment.updateMany({ deletedWith: comment._id, deletedAt: { $ne: null } }, { $set: restoredState }),
+    Notification.updateMany({ deletedWith: comment._id, deletedAt: { $ne: null } }, { $set: restoredState })
+  ]);
+
+  Object.assign(comment, restoredState);
+  await comment.save();
+};
+
+// Delete a comment, its replies and their notifications for good
+const purgeComment = async (comment) => {
+  const replies = await Comment.find({ parentComment: comment._id }).setOptions({ withDeleted: true }).select('_id');
+  const ids = [comment._id, ...replies.map(reply => reply._id)];
+
+  await Promise.all([
+    Comment.deleteMany({ _id: { $in: ids } }),
+    Notification.deleteMany({ relatedComment: { $in: ids } })
+  ]);
+
+  if (comment.parentComment) {
+    await Comment.updateOne(
+      { _id: comment.parentComment },
+      { $pull: { replies: comment._id } },
+      { withDeleted: true }
+    );
+  }
+};
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  let purgedCount = 0;
+
+  const notices = await Notice.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const notice of notices) {
+    await purgeNotice(notice);
+    purgedCount++;
+  }
+
+  // Comments trashed along with a notice or parent go with it
+  const comments = await Comment.find({ deletedAt: { $ne: null, $lte: cutoff }, deletedWith: null });
+  for (const comment of comments) {
+    await purgeComment(comment);
+    purgedCount++;
+  }
+
+  return purgedCount;
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  trashNotice,
+  restoreNotice,
+  purgeNotice,
+  trashComment,
+  restoreComment,
+  purgeComment,
+  purgeExpiredTrash
+};